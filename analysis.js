@@ -0,0 +1,473 @@
+// ============================================
+// Macless Haystack - Location Analysis
+// Pure functions over decoded location lists ({ lat, lng, timestamp, accuracy, ... }
+// sorted oldest first). No DOM or app state, so the views in app.js decide what
+// to analyse and how to show it.
+// ============================================
+
+// ============================================
+// GEO HELPERS
+// ============================================
+
+const EARTH_RADIUS_M = 6371000;
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+// Great-circle distance in meters (haversine)
+function distanceMeters(lat1, lng1, lat2, lng2) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Initial compass bearing from the first point to the second, 0-360 degrees clockwise from north
+function bearingDegrees(lat1, lng1, lat2, lng2) {
+    const phi1 = toRadians(lat1);
+    const phi2 = toRadians(lat2);
+    const dLng = toRadians(lng2 - lng1);
+    const y = Math.sin(dLng) * Math.cos(phi2);
+    const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLng);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Nearest of the 8 compass points for a bearing
+function compassPoint(bearing) {
+    const points = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+    return points[Math.round(bearing / 45) % 8];
+}
+
+// Degrees, minutes, seconds, e.g. 52°31'12.0"N 13°24'17.8"E
+function formatDms(lat, lng) {
+    const part = (value, positive, negative) => {
+        // Round once, in tenths of a second, so 59.96" carries into the minutes
+        const tenths = Math.round(Math.abs(value) * 36000);
+        const degrees = Math.floor(tenths / 36000);
+        const minutes = Math.floor((tenths % 36000) / 600);
+        const seconds = (tenths % 600) / 10;
+        return `${degrees}°${minutes}'${seconds.toFixed(1)}"${value >= 0 ? positive : negative}`;
+    };
+    return `${part(lat, 'N', 'S')} ${part(lng, 'E', 'W')}`;
+}
+
+// Open Location Code ("plus code") at the standard 10-digit precision (~14 m)
+function encodePlusCode(lat, lng) {
+    const alphabet = '23456789CFGHJMPQRVWX';
+    // Integer grid of 1/8000 degree, the size of the last digit pair
+    let latValue = Math.floor((Math.min(Math.max(lat, -90), 90 - 1e-9) + 90) * 8000 + 1e-6);
+    let lngValue = Math.floor((((lng + 180) % 360 + 360) % 360) * 8000 + 1e-6);
+
+    let code = '';
+    for (let i = 0; i < 5; i++) {
+        code = alphabet[latValue % 20] + alphabet[lngValue % 20] + code;
+        latValue = Math.floor(latValue / 20);
+        lngValue = Math.floor(lngValue / 20);
+    }
+    return `${code.slice(0, 8)}+${code.slice(8)}`;
+}
+
+// Ray casting test; points are [lat, lng] pairs
+function pointInPolygon(lat, lng, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [latI, lngI] = points[i];
+        const [latJ, lngJ] = points[j];
+        const crosses = (latI > lat) !== (latJ > lat) &&
+            lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI;
+        if (crosses) inside = !inside;
+    }
+    return inside;
+}
+
+// Distance in meters from a point to the segment a-b, using a local flat projection
+function distanceToSegmentMeters(lat, lng, a, b) {
+    const metersPerDegLat = Math.PI * EARTH_RADIUS_M / 180;
+    const metersPerDegLng = metersPerDegLat * Math.cos(toRadians(lat));
+    const ax = (a[1] - lng) * metersPerDegLng;
+    const ay = (a[0] - lat) * metersPerDegLat;
+    const bx = (b[1] - lng) * metersPerDegLng;
+    const by = (b[0] - lat) * metersPerDegLat;
+
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq)) : 0;
+    return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+function distanceToPolygonEdgeMeters(lat, lng, points) {
+    let min = Infinity;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        min = Math.min(min, distanceToSegmentMeters(lat, lng, points[j], points[i]));
+    }
+    return min;
+}
+
+// ============================================
+// STAY POINTS
+// ============================================
+
+// Weight of a report when averaging positions: accurate reports count for more
+function accuracyWeight(loc) {
+    return 1 / Math.max(loc.accuracy || 10, 5) ** 2;
+}
+
+/**
+ * Cluster a device's locations into stay points: runs of consecutive reports
+ * that stay within `radius` meters of their running centre for at least
+ * `minDwell` ms. A report still belongs to the run if its accuracy circle
+ * reaches the radius, capped at the radius itself so a vague report cannot
+ * join from anywhere.
+ * @param {Array} locations - Locations sorted by timestamp
+ * @param {Object} options - { radius: meters, minDwell: ms }
+ * @returns {Array} { lat, lng, radius, arrival, departure, duration, count,
+ *   startIndex, endIndex } where the indexes are the first and last report of the stay
+ */
+function detectStayPoints(locations, { radius = 100, minDwell = 20 * 60000 } = {}) {
+    const stays = [];
+    let i = 0;
+
+    while (i < locations.length) {
+        let weightSum = 0;
+        let latSum = 0;
+        let lngSum = 0;
+        const add = loc => {
+            const weight = accuracyWeight(loc);
+            weightSum += weight;
+            latSum += loc.lat * weight;
+            lngSum += loc.lng * weight;
+        };
+
+        add(locations[i]);
+        let j = i + 1;
+        while (j < locations.length) {
+            const loc = locations[j];
+            const distance = distanceMeters(latSum / weightSum, lngSum / weightSum, loc.lat, loc.lng);
+            if (distance > radius + Math.min(loc.accuracy || 0, radius)) break;
+            add(loc);
+            j++;
+        }
+
+        const arrival = locations[i].timestamp;
+        const departure = locations[j - 1].timestamp;
+        if (departure - arrival < minDwell) {
+            i++;
+            continue;
+        }
+
+        const lat = latSum / weightSum;
+        const lng = lngSum / weightSum;
+        let spread = 0;
+        for (let k = i; k < j; k++) {
+            spread = Math.max(spread, distanceMeters(lat, lng, locations[k].lat, locations[k].lng));
+        }
+
+        stays.push({
+            lat, lng, radius: spread, arrival, departure, duration: departure - arrival, count: j - i,
+            startIndex: i, endIndex: j - 1
+        });
+        i = j;
+    }
+
+    return stays;
+}
+
+/**
+ * Group stay points that are within `radius` of each other into places, so
+ * repeated visits to the same spot add up. Sets `stay.place` on every stay.
+ * @returns {Array} { index, lat, lng, duration, visits } sorted by time spent, most first
+ */
+function groupStayPoints(stays, radius = 100) {
+    const places = [];
+
+    stays.forEach(stay => {
+        let place = places.find(p => distanceMeters(p.lat, p.lng, stay.lat, stay.lng) <= radius);
+        if (!place) {
+            place = { lat: stay.lat, lng: stay.lng, duration: 0, visits: [] };
+            places.push(place);
+        }
+        place.visits.push(stay);
+        place.duration += stay.duration;
+        stay.place = place;
+    });
+
+    places.sort((a, b) => b.duration - a.duration);
+    places.forEach((place, i) => { place.index = i + 1; });
+    return places;
+}
+
+// ============================================
+// TRIPS
+// ============================================
+
+/**
+ * Split a track into trips: the movement between the stay points found by
+ * detectStayPoints. A trip runs from the last report of one stay to the first
+ * report of the next, so it starts and ends where the device rested. Without
+ * any stays the whole track is one trip.
+ * @param {Array} locations - Locations sorted by timestamp
+ * @param {Array} stays - detectStayPoints(locations) result
+ * @param {Object} options - { minDistance: meters a trip must cover, minSegment: ms
+ *   between reports before their speed counts towards the maximum }
+ * @returns {Array} { start, end, duration, distance, avgSpeed, maxSpeed, locations } (speeds in m/s)
+ */
+function segmentTrips(locations, stays, { minDistance = 200, minSegment = 30000 } = {}) {
+    const bounds = [];
+    let from = 0;
+    stays.forEach(stay => {
+        bounds.push([from, stay.startIndex]);
+        from = stay.endIndex;
+    });
+    bounds.push([from, locations.length - 1]);
+
+    return bounds
+        .filter(([first, last]) => last > first)
+        .map(([first, last]) => {
+            const points = locations.slice(first, last + 1);
+            let distance = 0;
+            let maxSpeed = 0;
+            for (let i = 1; i < points.length; i++) {
+                const segment = distanceMeters(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+                const seconds = (points[i].timestamp - points[i - 1].timestamp) / 1000;
+                distance += segment;
+                // Reports seconds apart make for wild speeds, so short segments only add distance
+                if (seconds * 1000 >= minSegment) {
+                    maxSpeed = Math.max(maxSpeed, segment / seconds);
+                }
+            }
+
+            const start = points[0].timestamp;
+            const end = points[points.length - 1].timestamp;
+            const duration = end - start;
+            return {
+                start,
+                end,
+                duration,
+                distance,
+                avgSpeed: duration > 0 ? distance / (duration / 1000) : 0,
+                maxSpeed,
+                locations: points
+            };
+        })
+        .filter(trip => trip.distance >= minDistance);
+}
+
+// ============================================
+// TRACK CLEANING
+// ============================================
+
+const TRACK_CLEANING_DEFAULTS = {
+    maxSpeed: 70,             // m/s (~250 km/h) - anything faster is a bad fix
+    maxAccuracy: 200,         // meters
+    minConfidence: 1,
+    duplicateWindow: 120000   // ms within which nearby reports are the same broadcast
+};
+
+// Speed needed to get from a to b, giving both fixes the benefit of their accuracy (m/s)
+function impliedSpeed(a, b) {
+    const distance = Math.max(0, distanceMeters(a.lat, a.lng, b.lat, b.lng) - (a.accuracy || 0) - (b.accuracy || 0));
+    return distance / Math.max((b.timestamp - a.timestamp) / 1000, 1);
+}
+
+/**
+ * Drop reports that cannot be right and merge repeats of the same broadcast.
+ * 1. Reports with poor accuracy or low confidence are rejected.
+ * 2. Reports from several finders within `duplicateWindow` and each other's
+ *    accuracy are fused into one accuracy-weighted point (`finderCount` set).
+ * 3. A point that needs more than `maxSpeed` both to reach it and to leave it
+ *    again is a spike and is rejected.
+ * @param {Array} locations - Locations sorted by timestamp
+ * @returns {{ locations: Array, rejected: Array }} rejected points carry `rejectReason`
+ *   ('accuracy', 'confidence', 'duplicate' or 'speed')
+ */
+function cleanTrack(locations, options = {}) {
+    const { maxSpeed, maxAccuracy, minConfidence, duplicateWindow } = { ...TRACK_CLEANING_DEFAULTS, ...options };
+    const rejected = [];
+    const reject = (loc, reason) => rejected.push({ ...loc, rejectReason: reason });
+
+    const usable = locations.filter(loc => {
+        if (loc.accuracy > maxAccuracy) {
+            reject(loc, 'accuracy');
+            return false;
+        }
+        if (typeof loc.confidence === 'number' && loc.confidence < minConfidence) {
+            reject(loc, 'confidence');
+            return false;
+        }
+        return true;
+    });
+
+    const groups = [];
+    usable.forEach(loc => {
+        const group = groups[groups.length - 1];
+        const first = group?.[0];
+        if (first && loc.timestamp - first.timestamp <= duplicateWindow &&
+            distanceMeters(first.lat, first.lng, loc.lat, loc.lng) <= Math.max(first.accuracy || 0, loc.accuracy || 0, 25)) {
+            group.push(loc);
+        } else {
+            groups.push([loc]);
+        }
+    });
+
+    const fused = groups.map(group => {
+        if (group.length === 1) return group[0];
+
+        const best = group.reduce((a, b) => ((b.accuracy || Infinity) < (a.accuracy || Infinity) ? b : a));
+        let weightSum = 0;
+        let lat = 0;
+        let lng = 0;
+        group.forEach(loc => {
+            const weight = accuracyWeight(loc);
+            weightSum += weight;
+            lat += loc.lat * weight;
+            lng += loc.lng * weight;
+            if (loc !== best) reject(loc, 'duplicate');
+        });
+        return { ...best, lat: lat / weightSum, lng: lng / weightSum, timestamp: group[0].timestamp, finderCount: group.length };
+    });
+
+    const kept = [];
+    fused.forEach((loc, i) => {
+        const prev = kept[kept.length - 1];
+        const next = fused[i + 1];
+        if (prev && impliedSpeed(prev, loc) > maxSpeed && (!next || impliedSpeed(loc, next) > maxSpeed)) {
+            reject(loc, 'speed');
+            return;
+        }
+        kept.push(loc);
+    });
+
+    rejected.sort((a, b) => a.timestamp - b.timestamp);
+    return { locations: kept, rejected };
+}
+
+/**
+ * Smooth a cleaned track with a simple Kalman filter: each report pulls the
+ * estimate towards it by how its accuracy compares to the estimate's
+ * uncertainty, which grows with time at `processNoise` m/s.
+ * @returns {Array} Copies of the locations with filtered lat/lng and accuracy;
+ *   the original position is kept in rawLat/rawLng
+ */
+function smoothTrack(locations, { processNoise = 3 } = {}) {
+    let lat = 0;
+    let lng = 0;
+    let variance = -1; // m², negative until the first report
+    let lastTimestamp = 0;
+
+    return locations.map(loc => {
+        const accuracy = Math.max(loc.accuracy || 0, 1);
+
+        if (variance < 0) {
+            lat = loc.lat;
+            lng = loc.lng;
+            variance = accuracy * accuracy;
+        } else {
+            const seconds = Math.max(loc.timestamp - lastTimestamp, 0) / 1000;
+            variance += seconds * processNoise * processNoise;
+            const gain = variance / (variance + accuracy * accuracy);
+            lat += gain * (loc.lat - lat);
+            lng += gain * (loc.lng - lng);
+            variance *= 1 - gain;
+        }
+        lastTimestamp = loc.timestamp;
+
+        // The filtered uncertainty is never worse than the report's own accuracy
+        return { ...loc, lat, lng, rawLat: loc.lat, rawLng: loc.lng, accuracy: Math.round(Math.sqrt(variance)) };
+    });
+}
+
+// ============================================
+// REPORT HEALTH
+// ============================================
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Report counts in fixed buckets of `bucketMs` from `from` up to `to`
+function reportHistogram(locations, bucketMs, from, to) {
+    const counts = new Array(Math.max(Math.ceil((to - from) / bucketMs), 1)).fill(0);
+    locations.forEach(loc => {
+        if (loc.timestamp < from || loc.timestamp >= to) return;
+        counts[Math.floor((loc.timestamp - from) / bucketMs)]++;
+    });
+    return counts.map((count, i) => ({ start: from + i * bucketMs, count }));
+}
+
+/**
+ * Longest stretches without a report, from the start of the window to the
+ * first report up to the one still running at `now`
+ * @param {number} from - Start of the window (ms)
+ * @returns {Array} { from, to, duration, ongoing }, longest first
+ */
+function findReportGaps(locations, from, now, limit = 5) {
+    const gaps = [];
+    if (locations.length > 0 && locations[0].timestamp > from) {
+        gaps.push({ from, to: locations[0].timestamp, ongoing: false });
+    }
+    for (let i = 1; i < locations.length; i++) {
+        gaps.push({ from: locations[i - 1].timestamp, to: locations[i].timestamp, ongoing: false });
+    }
+    if (locations.length > 0) {
+        gaps.push({ from: locations[locations.length - 1].timestamp, to: now, ongoing: true });
+    }
+    return gaps
+        .map(gap => ({ ...gap, duration: gap.to - gap.from }))
+        .sort((a, b) => b.duration - a.duration)
+        .slice(0, limit);
+}
+
+/**
+ * Summarise how well a device is being reported over a window, to tell a
+ * broken tag from one that is simply out of reach of passing finders.
+ * The score (0-100) weighs how recent the last report is (40%), the share of
+ * hours in the window with at least one report (30%) and the report rate,
+ * where one an hour counts as full marks (30%).
+ * @param {Array} locations - The device's reports sorted by timestamp
+ * @param {Object} options - { from, to } window in ms
+ * @returns {Object} { count, lastSeen, medianDelay, delaySamples, confidence: { value: count },
+ *   gaps, coverage, score, level: 'good'|'fair'|'poor'|'none' }
+ */
+function analyzeReportHealth(locations, { from, to }) {
+    const inWindow = locations.filter(loc => loc.timestamp >= from && loc.timestamp <= to);
+    const lastSeen = locations.length > 0 ? locations[locations.length - 1].timestamp : null;
+
+    const delays = inWindow
+        .filter(loc => loc.datePublished && loc.datePublished >= loc.timestamp)
+        .map(loc => loc.datePublished - loc.timestamp);
+
+    const confidence = {};
+    inWindow.forEach(loc => {
+        if (loc.confidence === undefined || loc.confidence === null) return;
+        confidence[loc.confidence] = (confidence[loc.confidence] || 0) + 1;
+    });
+
+    const hours = reportHistogram(inWindow, 3600000, from, to);
+    const coverage = hours.filter(h => h.count > 0).length / hours.length;
+
+    let score = 0;
+    if (lastSeen !== null) {
+        const hoursSince = (to - lastSeen) / 3600000;
+        const recency = Math.min(Math.max(1 - (hoursSince - 1) / 47, 0), 1); // full within 1 h, none after 48 h
+        const rate = Math.min(inWindow.length / hours.length, 1);
+        score = Math.round(100 * (0.4 * recency + 0.3 * coverage + 0.3 * rate));
+    }
+
+    return {
+        count: inWindow.length,
+        lastSeen,
+        medianDelay: median(delays),
+        delaySamples: delays.length,
+        confidence,
+        gaps: findReportGaps(inWindow, from, to),
+        coverage,
+        score,
+        level: lastSeen === null ? 'none' : score >= 70 ? 'good' : score >= 40 ? 'fair' : 'poor'
+    };
+}
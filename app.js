@@ -16,16 +16,51 @@ const state = {
         fetchOnStartup: true,
         darkMode: false,
         autoRefresh: true,
-        autoRefreshInterval: 60  // seconds
+        autoRefreshInterval: 60,  // seconds
+        fetchChunkSize: 10,       // hashed keys per endpoint request
+        fetchConcurrency: 3,      // endpoint requests in flight at once
+        historyRetentionDays: 365, // how long decoded reports are kept in IndexedDB
+        vaultEnabled: false,      // keys and endpoint password encrypted with a passphrase
+        vaultAutoLockMinutes: 15, // 0 = never auto-lock
+        activeBaseLayer: 'satellite',
+        activeOverlays: ['labels', 'roads'],
+        selfHostedTileUrl: '',    // TileServer GL / MapProxy XYZ URL template
+        selfHostedTileMaxZoom: 18,
+        tilesOfflineOnly: false,  // hide the built-in third-party presets
+        tileSources: [],          // user-defined { id, name, type, url, maxZoom, attribution, subdomains }
+        stayRadius: 100,          // meters a device may wander and still count as staying
+        stayMinMinutes: 20,       // shortest stay shown as a visit
+        trackMode: 'cleaned',     // path shown in history: 'raw', 'cleaned' or 'smoothed'
+        showRejectedPoints: false, // draw reports dropped by track cleaning in grey
+        navigationProvider: 'apple', // key of navigationProviders
+        navigationMode: 'driving',   // 'driving', 'walking' or 'cycling'
+        navigationUrlTemplate: '',   // custom provider, e.g. https://example.org/route?to={lat},{lng}&mode={mode}
+        geocoderUrl: '',             // self-hosted Nominatim/Photon/Pelias reverse URL with {lat} and {lng}
+        geocoderDatasetUrl: '',      // locally hosted GeoJSON or CSV of named points
+        groupDevicesByPlace: false,  // group the devices list by named place
+        batteryReplaceDays: 30       // list batteries forecast to reach critical within this many days
     },
     map: null,
+    baseLayers: {},     // tile source id -> L.tileLayer
+    overlayLayers: {},
+    layerControl: null,
     markers: [],
     pathPolylines: [],
+    pathRenderer: null, // shared L.canvas renderer for path history layers
     currentAccessoryId: null,
     selectedColor: '#3B82F6',
     selectedDeviceId: null,
     autoRefreshTimer: null,
-    lastFetchTime: null
+    lastFetchTime: null,
+    fetchInProgress: false,
+    fetchErrors: {},  // accessoryId -> error message from the last fetch
+    syncCursors: {},  // accessoryId -> { newestReport, newestPublished, lastSync }
+    vault: {
+        key: null,        // AES-GCM CryptoKey derived from the passphrase (only while unlocked)
+        salt: null,
+        locked: false,
+        idleTimer: null
+    }
 };
 
 // Icon mapping (for backward compatibility with old devices)
@@ -49,322 +84,276 @@ function getDisplayIcon(accessory) {
 }
 
 // ============================================
-// UTILITY FUNCTIONS
+// API FUNCTIONS
 // ============================================
 
-// Convert base64 to Uint8Array
-function base64ToBytes(base64) {
-    const binaryString = atob(base64);
-    const bytes = new Uint8Array(binaryString.length);
-    for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
-    }
-    return bytes;
-}
+async function fetchLocationReportsFromEndpoint(hashedKeys, daysToFetch) {
+    const url = state.settings.endpointUrl;
 
-// Convert Uint8Array to base64
-function bytesToBase64(bytes) {
-    let binary = '';
-    for (let i = 0; i < bytes.length; i++) {
-        binary += String.fromCharCode(bytes[i]);
-    }
-    return btoa(binary);
-}
+    const headers = {
+        'Content-Type': 'application/json'
+    };
 
-// Convert hex string to Uint8Array
-function hexToBytes(hex) {
-    const bytes = new Uint8Array(hex.length / 2);
-    for (let i = 0; i < bytes.length; i++) {
-        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    if (state.settings.endpointUser || state.settings.endpointPass) {
+        const credentials = btoa(`${state.settings.endpointUser}:${state.settings.endpointPass}`);
+        headers['Authorization'] = `Basic ${credentials}`;
     }
-    return bytes;
-}
 
-// Convert Uint8Array to hex string
-function bytesToHex(bytes) {
-    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
-}
+    const body = JSON.stringify({
+        ids: hashedKeys,
+        days: daysToFetch
+    });
 
-// SHA-256 hash (using @noble/hashes via module import)
-async function sha256(data) {
-    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    console.log('[DEBUG] Fetching from:', url);
+    console.log('[DEBUG] Request body:', body);
 
-    // Try Web Crypto API first (requires secure context: HTTPS or localhost)
-    if (window.crypto && window.crypto.subtle) {
-        const buffer = await window.crypto.subtle.digest('SHA-256', bytes);
-        return new Uint8Array(buffer);
-    }
+    try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 30000);
 
-    // Fallback: use @noble/hashes sha256 (loaded via module)
-    if (window.nobleSha256) {
-        return window.nobleSha256(bytes);
-    }
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: headers,
+            body: body,
+            signal: controller.signal
+        });
 
-    throw new Error('No SHA-256 implementation available. Use localhost or HTTPS.');
-}
+        clearTimeout(timeoutId);
 
-// ============================================
-// CRYPTOGRAPHY FUNCTIONS (secp224r1)
-// ============================================
+        // The status goes along with the error for the diagnostics console
+        const httpError = (message) => Object.assign(new Error(message), { status: response.status });
 
-// Wait for noble-curves to be loaded
-function waitForNobleCurves() {
-    return new Promise((resolve) => {
-        if (window.secp224r1 && window.nobleGcm) {
-            resolve();
-        } else {
-            const checkInterval = setInterval(() => {
-                if (window.secp224r1 && window.nobleGcm) {
-                    clearInterval(checkInterval);
-                    resolve();
-                }
-            }, 100);
+        if (response.status === 401) {
+            throw httpError('Authentication failed. Check your username/password.');
         }
-    });
-}
 
-// Initialize crypto
-async function initCrypto() {
-    await waitForNobleCurves();
-    console.log('secp224r1 curve loaded:', window.secp224r1);
-    console.log('nobleGcm loaded:', window.nobleGcm);
-}
+        if (response.status === 404) {
+            throw httpError('Endpoint not found. Check your URL.');
+        }
 
-// Hash public key using SHA256 and encode as base64
-async function hashPublicKey(privateKeyBase64) {
-    const privateKeyBytes = base64ToBytes(privateKeyBase64);
-    const publicKeyBytes = await derivePublicKeyFromPrivate(privateKeyBytes);
-    const hash = await sha256(publicKeyBytes);
-    return bytesToBase64(hash);
-}
+        if (response.status !== 200) {
+            const errorText = await response.text();
+            throw httpError(`HTTP ${response.status}: ${errorText}`);
+        }
 
-// Derive public key from private key using secp224r1
-async function derivePublicKeyFromPrivate(privateKeyBytes) {
-    if (!window.secp224r1) {
-        throw new Error('secp224r1 curve not loaded');
+        const data = await response.json();
+        return data.results || [];
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error('Request timed out (30s). Check if endpoint is running.');
+        }
+        throw error;
     }
-
-    const privHex = bytesToHex(privateKeyBytes);
-    const pubBytes = window.secp224r1.getPublicKey(privHex);
-    return pubBytes;
 }
 
-// Get advertisement key (28-byte public key without first byte)
-async function getAdvertisementKey(privateKeyBase64) {
-    const publicKeyBytes = await derivePublicKeyFromPrivate(base64ToBytes(privateKeyBase64));
-    return publicKeyBytes.slice(1);
-}
+// ============================================
+// FETCH PLANNER
+// ============================================
 
-// Get hashed advertisement key (what the backend uses to lookup reports)
-async function getHashedAdvertisementKey(privateKeyBase64) {
-    const advKey = await getAdvertisementKey(privateKeyBase64);
-    const hash = await sha256(advKey);
-    return bytesToBase64(hash);
+// Split a list into chunks of at most `size` items
+function chunkArray(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
 }
 
-// ECDH - Elliptic Curve Diffie-Hellman key exchange
-async function ecdh(ephemeralPublicKeyBytes, privateKeyBase64) {
-    if (!window.secp224r1) {
-        throw new Error('secp224r1 curve not loaded');
-    }
+// Run async task functions with at most `limit` of them in flight.
+// Never rejects; each result is { ok, value } or { ok: false, error }.
+async function runWithConcurrency(tasks, limit) {
+    const results = new Array(tasks.length);
+    let next = 0;
 
-    const privateKeyBytes = base64ToBytes(privateKeyBase64);
-    const privHex = bytesToHex(privateKeyBytes);
-    const pubHex = bytesToHex(ephemeralPublicKeyBytes);
+    async function runNext() {
+        while (next < tasks.length) {
+            const index = next++;
+            try {
+                results[index] = { ok: true, value: await tasks[index]() };
+            } catch (error) {
+                results[index] = { ok: false, error };
+            }
+        }
+    }
 
-    const shared = window.secp224r1.getSharedSecret(privHex, pubHex);
-    return shared.slice(1);
+    const runners = [];
+    for (let i = 0; i < Math.min(limit, tasks.length); i++) {
+        runners.push(runNext());
+    }
+    await Promise.all(runners);
+    return results;
 }
 
-// KDF - ANSI X.963 Key Derivation Function
-async function kdf(secret, ephemeralKey) {
-    const combined = new Uint8Array(secret.length + 4 + ephemeralKey.length);
-    combined.set(secret, 0);
-    combined.set(new Uint8Array([0, 0, 0, 1]), secret.length);
-    combined.set(ephemeralKey, secret.length + 4);
+/**
+ * Fetch reports for many accessories, grouping their hashed keys into chunked
+ * endpoint requests that run with bounded concurrency.
+ * Keys are grouped by the number of days they need, since the endpoint takes a
+ * single `days` value per request.
+ * @param {Array<{hashedKey: string, accessory: Object, days: number}>} keyEntries - One entry per hashed key
+ * @param {Function} onReports - Called as (keyEntry, reports) whenever a chunk returns
+ * @returns {Promise<Object>} Map of accessoryId -> error message for chunks that failed
+ */
+async function fetchReportsInChunks(keyEntries, onReports) {
+    const chunkSize = state.settings.fetchChunkSize || 10;
+    const concurrency = state.settings.fetchConcurrency || 3;
+    const errors = {};
+
+    const entriesByDays = new Map();
+    keyEntries.forEach(entry => {
+        if (!entriesByDays.has(entry.days)) {
+            entriesByDays.set(entry.days, []);
+        }
+        entriesByDays.get(entry.days).push(entry);
+    });
 
-    return sha256(combined);
-}
+    const chunks = [];
+    entriesByDays.forEach((entries, days) => {
+        chunkArray(entries, chunkSize).forEach(chunk => chunks.push({ days, chunk }));
+    });
 
-// AES-GCM Decryption using Web Crypto API or noble/ciphers fallback
-async function decryptPayload(cipherText, symmetricKey, tag) {
-    const decryptionKey = symmetricKey.slice(0, 16);
-    const iv = symmetricKey.slice(16);
+    const tasks = chunks.map(({ days, chunk }) => async () => {
+        const entriesByKey = new Map(chunk.map(entry => [entry.hashedKey, entry]));
 
-    if (window.crypto && window.crypto.subtle) {
+        let reports;
         try {
-            const cryptoKey = await window.crypto.subtle.importKey(
-                'raw',
-                decryptionKey,
-                { name: 'AES-GCM' },
-                false,
-                ['decrypt']
-            );
-
-            const dataToDecrypt = new Uint8Array(cipherText.length + tag.length);
-            dataToDecrypt.set(cipherText);
-            dataToDecrypt.set(tag, cipherText.length);
-
-            const decrypted = await window.crypto.subtle.decrypt(
-                {
-                    name: 'AES-GCM',
-                    iv: iv,
-                    tagLength: 128
-                },
-                cryptoKey,
-                dataToDecrypt
-            );
-
-            return new Uint8Array(decrypted);
-        } catch (e) {
-            console.warn('[WARN] Web Crypto API failed, trying fallback:', e);
+            reports = await fetchLocationReportsFromEndpoint([...entriesByKey.keys()], days);
+        } catch (error) {
+            // A failed chunk only affects the devices whose keys were in it
+            chunk.forEach(entry => {
+                errors[entry.accessory.id] = error.message;
+                recordKeyFetch(entry, { status: error.status || null, error: error.message });
+            });
+            throw error;
         }
-    }
 
-    if (window.nobleGcm) {
-        try {
-            const combined = new Uint8Array(cipherText.length + tag.length);
-            combined.set(cipherText);
-            combined.set(tag, cipherText.length);
+        // Route each report back to its key (and accessory) by the hashed key it was found under
+        const reportsByEntry = new Map();
+        for (const report of reports) {
+            const entry = entriesByKey.get(report.id) || (chunk.length === 1 ? chunk[0] : null);
+            if (!entry) {
+                console.warn('[WARN] Report with unknown id, skipping:', report.id);
+                continue;
+            }
+            if (!reportsByEntry.has(entry)) {
+                reportsByEntry.set(entry, []);
+            }
+            reportsByEntry.get(entry).push(report);
+        }
 
-            const cipher = window.nobleGcm(decryptionKey, iv);
-            const decrypted = cipher.decrypt(combined);
+        chunk.forEach(entry => recordKeyFetch(entry, { status: 200, reports: (reportsByEntry.get(entry) || []).length }));
+        reportsByEntry.forEach((entryReports, entry) => onReports(entry, entryReports));
+    });
 
-            return decrypted;
-        } catch (e) {
-            console.error('[ERROR] noble/ciphers decryption failed:', e);
-        }
+    const results = await runWithConcurrency(tasks, concurrency);
+    const failed = results.filter(r => !r.ok).length;
+    if (failed > 0) {
+        console.error(`${failed} of ${chunks.length} fetch chunk(s) failed`);
     }
 
-    throw new Error('No AES-GCM decryption available. Access via localhost or HTTPS.');
+    return errors;
 }
 
-// Main decryption function - decrypts a FindMy report
-async function decryptReport(report, privateKeyBase64) {
-    try {
-        let payloadData = base64ToBytes(report.payload);
-
-        if (payloadData.length > 88) {
-            const modified = new Uint8Array(payloadData.length - 1);
-            modified.set(payloadData.slice(0, 4), 0);
-            modified.set(payloadData.slice(5), 4);
-            payloadData = modified;
-        }
+// ============================================
+// DECRYPTION WORKER POOL
+// ============================================
 
-        const ephemeralKeyBytes = payloadData.slice(5, 62);
-        const encData = payloadData.slice(62, 72);
-        const tag = payloadData.slice(72);
+// Reports are decrypted in parallel workers (decrypt-worker.js) running the same
+// decryptReport from crypto.js. Falls back to the main thread when workers
+// cannot be started (e.g. file:// pages) or fail to load the crypto libraries.
+const decryptPool = {
+    workers: [],
+    idle: [],
+    queue: [],
+    jobs: new Map(),
+    nextJobId: 1,
+    disabled: false
+};
 
-        const seenTimeStamp = new DataView(payloadData.buffer).getUint32(0, false);
-        const timestamp = new Date(Date.UTC(2001, 0, 1));
-        timestamp.setSeconds(seenTimeStamp);
-        const confidence = payloadData[4];
+function initDecryptWorkers() {
+    if (typeof Worker === 'undefined') {
+        decryptPool.disabled = true;
+        return;
+    }
 
-        const sharedSecret = await ecdh(ephemeralKeyBytes, privateKeyBase64);
-        const derivedKey = await kdf(sharedSecret, ephemeralKeyBytes);
-        const decryptedPayload = await decryptPayload(encData, derivedKey, tag);
+    // Leave one core for the UI thread
+    const size = Math.max(1, Math.min((navigator.hardwareConcurrency || 2) - 1, 4));
 
-        return decodePayload(decryptedPayload, report.datePublished, timestamp, confidence);
+    try {
+        for (let i = 0; i < size; i++) {
+            const worker = new Worker('decrypt-worker.js');
+            worker.onmessage = (e) => handleDecryptWorkerMessage(worker, e.data);
+            worker.onerror = (e) => {
+                console.error('Decryption worker error:', e.message);
+                disableDecryptWorkers();
+            };
+            decryptPool.workers.push(worker);
+            decryptPool.idle.push(worker);
+        }
+        console.log(`Decryption pool started with ${size} worker(s)`);
     } catch (error) {
-        console.error('Decrypt report error:', error);
-        throw error;
+        console.warn('[WARN] Could not start decryption workers, using main thread:', error);
+        disableDecryptWorkers();
     }
 }
 
-// Decode the decrypted payload to get location data
-function decodePayload(payload, datePublished, timestamp, confidence) {
-    const view = new DataView(payload.buffer);
+function disableDecryptWorkers() {
+    if (decryptPool.disabled) return;
+    decryptPool.disabled = true;
+    decryptPool.workers.forEach(worker => worker.terminate());
+    decryptPool.workers = [];
+    decryptPool.idle = [];
+
+    // Re-run anything still in flight or queued on the main thread
+    const pending = [...decryptPool.jobs.values()];
+    decryptPool.jobs.clear();
+    decryptPool.queue = [];
+    pending.forEach(job => {
+        decryptReport(job.report, job.privateKey).then(job.resolve, job.reject);
+    });
+}
 
-    const latitudeRaw = view.getUint32(0, false);
-    const longitudeRaw = view.getUint32(4, false);
-    const accuracy = view.getUint8(8);
-    const status = view.getUint8(9);
+function handleDecryptWorkerMessage(worker, message) {
+    const job = decryptPool.jobs.get(message.jobId);
 
-    let latitude = latitudeRaw / 10000000.0;
-    let longitude = longitudeRaw / 10000000.0;
+    if (message.fatal) {
+        console.warn('[WARN] Decryption worker could not load crypto libraries:', message.error);
+        disableDecryptWorkers();
+        return;
+    }
 
-    const pointCorrection = 0xFFFFFFFF / 10000000;
-    if (latitude > 90) latitude -= pointCorrection;
-    if (latitude < -90) latitude += pointCorrection;
-    if (longitude > 180) longitude -= pointCorrection;
-    if (longitude < -180) longitude += pointCorrection;
+    decryptPool.jobs.delete(message.jobId);
+    decryptPool.idle.push(worker);
+    dispatchDecryptJobs();
 
-    let batteryStatus = null;
-    if ((status & 0x20) !== 0 || status > 0) {
-        const batteryLevel = (status >> 6) & 0x03;
-        const batteryStatuses = ['ok', 'medium', 'low', 'critical'];
-        batteryStatus = batteryStatuses[batteryLevel] || null;
+    if (!job) return;
+    if (message.ok) {
+        job.resolve(message.decrypted);
+    } else {
+        job.reject(Object.assign(new Error(message.error), { stage: message.stage }));
     }
-
-    return {
-        latitude,
-        longitude,
-        accuracy,
-        datePublished,
-        timestamp,
-        confidence,
-        batteryStatus
-    };
 }
 
-// ============================================
-// API FUNCTIONS
-// ============================================
-
-async function fetchLocationReportsFromEndpoint(hashedKeys, daysToFetch) {
-    const url = state.settings.endpointUrl;
-
-    const headers = {
-        'Content-Type': 'application/json'
-    };
+function dispatchDecryptJobs() {
+    while (decryptPool.idle.length > 0 && decryptPool.queue.length > 0) {
+        const worker = decryptPool.idle.pop();
+        const job = decryptPool.queue.shift();
+        worker.postMessage({ jobId: job.jobId, report: job.report, privateKey: job.privateKey });
+    }
+}
 
-    if (state.settings.endpointUser || state.settings.endpointPass) {
-        const credentials = btoa(`${state.settings.endpointUser}:${state.settings.endpointPass}`);
-        headers['Authorization'] = `Basic ${credentials}`;
+// Decrypt a report on the next free worker; resolves with the same shape as decryptReport
+function decryptReportInPool(report, privateKeyBase64) {
+    if (decryptPool.disabled) {
+        return decryptReport(report, privateKeyBase64);
     }
 
-    const body = JSON.stringify({
-        ids: hashedKeys,
-        days: daysToFetch
+    return new Promise((resolve, reject) => {
+        const jobId = decryptPool.nextJobId++;
+        const job = { jobId, report, privateKey: privateKeyBase64, resolve, reject };
+        decryptPool.jobs.set(jobId, job);
+        decryptPool.queue.push(job);
+        dispatchDecryptJobs();
     });
-
-    console.log('[DEBUG] Fetching from:', url);
-    console.log('[DEBUG] Request body:', body);
-
-    try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 30000);
-
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: headers,
-            body: body,
-            signal: controller.signal
-        });
-
-        clearTimeout(timeoutId);
-
-        if (response.status === 401) {
-            throw new Error('Authentication failed. Check your username/password.');
-        }
-
-        if (response.status === 404) {
-            throw new Error('Endpoint not found. Check your URL.');
-        }
-
-        if (response.status !== 200) {
-            const errorText = await response.text();
-            throw new Error(`HTTP ${response.status}: ${errorText}`);
-        }
-
-        const data = await response.json();
-        return data.results || [];
-    } catch (error) {
-        if (error.name === 'AbortError') {
-            throw new Error('Request timed out (30s). Check if endpoint is running.');
-        }
-        throw error;
-    }
 }
 
 // ============================================
@@ -372,19 +361,33 @@ async function fetchLocationReportsFromEndpoint(hashedKeys, daysToFetch) {
 // ============================================
 
 document.addEventListener('DOMContentLoaded', async () => {
-    await initCrypto();
     loadSettings();
     loadAccessories();
+    loadSyncCursors();
     initMap();
     initEventListeners();
+    initGeofences();
+    initPlaces();
+    initAlerts();
+    initBatteryHistory();
+    initMyLocationControl();
     applyDarkMode();
-    startAutoRefresh();
 
     // Set default state: map view with devices panel hidden
     const panel = document.getElementById('bottomPanel');
     panel.classList.add('hidden');
 
-    if (state.settings.fetchOnStartup) {
+    // Start locked when keys are in the vault
+    initVault();
+
+    // Show the last known positions from local history before the crypto libraries load
+    await restoreLocationHistory();
+
+    await initCrypto();
+    initDecryptWorkers();
+    startAutoRefresh();
+
+    if (state.settings.fetchOnStartup && !isVaultLocked()) {
         fetchLocations();
     }
 });
@@ -395,23 +398,217 @@ function initMap() {
         zoomControl: false
     }).setView([0, 0], 2);
 
-    // Satellite layer (Esri World Imagery) - base layer
-    L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}', {
-        attribution: '',
-        maxZoom: 19
-    }).addTo(state.map);
+    // Path history is drawn on one canvas; the tolerance makes small dots easier to tap
+    state.pathRenderer = L.canvas({ padding: 0.5, tolerance: 6 });
 
-    // Hybrid overlay - Reference overlay with labels and roads
-    L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/Reference/World_Boundaries_and_Places/MapServer/tile/{z}/{y}/{x}', {
-        attribution: '',
-        maxZoom: 19
-    }).addTo(state.map);
+    initMapLayers();
+    initMarkerClusters();
+}
 
-    // Roads overlay for hybrid view
-    L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/Reference/World_Transportation/MapServer/tile/{z}/{y}/{x}', {
-        attribution: '',
-        maxZoom: 19
-    }).addTo(state.map);
+// ============================================
+// MAP TILE LAYERS
+// ============================================
+
+// Built-in tile presets. Satellite with the labels and roads overlays is the
+// original hybrid view.
+const tilePresets = [
+    {
+        id: 'satellite',
+        name: 'Satellite',
+        type: 'base',
+        url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+        maxZoom: 19,
+        attribution: 'Tiles &copy; Esri'
+    },
+    {
+        id: 'street',
+        name: 'Street',
+        type: 'base',
+        url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+        maxZoom: 19,
+        subdomains: 'abc',
+        attribution: '&copy; OpenStreetMap contributors'
+    },
+    {
+        id: 'dark',
+        name: 'Dark',
+        type: 'base',
+        url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+        maxZoom: 20,
+        subdomains: 'abcd',
+        attribution: '&copy; OpenStreetMap contributors &copy; CARTO'
+    },
+    {
+        id: 'labels',
+        name: 'Labels',
+        type: 'overlay',
+        url: 'https://server.arcgisonline.com/ArcGIS/rest/services/Reference/World_Boundaries_and_Places/MapServer/tile/{z}/{y}/{x}',
+        maxZoom: 19,
+        attribution: ''
+    },
+    {
+        id: 'roads',
+        name: 'Roads',
+        type: 'overlay',
+        url: 'https://server.arcgisonline.com/ArcGIS/rest/services/Reference/World_Transportation/MapServer/tile/{z}/{y}/{x}',
+        maxZoom: 19,
+        attribution: ''
+    }
+];
+
+// All tile sources available in the layer switcher
+function getTileSources() {
+    const sources = state.settings.tilesOfflineOnly ? [] : [...tilePresets];
+
+    if (state.settings.selfHostedTileUrl) {
+        sources.push({
+            id: 'self-hosted',
+            name: 'Self-hosted',
+            type: 'base',
+            url: state.settings.selfHostedTileUrl,
+            maxZoom: state.settings.selfHostedTileMaxZoom || 18,
+            attribution: ''
+        });
+    }
+
+    return sources.concat(state.settings.tileSources || []);
+}
+
+function getTileSettingsKey() {
+    const { selfHostedTileUrl, selfHostedTileMaxZoom, tilesOfflineOnly } = state.settings;
+    return JSON.stringify([selfHostedTileUrl, selfHostedTileMaxZoom, tilesOfflineOnly]);
+}
+
+function createTileLayer(source) {
+    const options = {
+        maxZoom: source.maxZoom || 19,
+        attribution: source.attribution || ''
+    };
+    if (source.subdomains) {
+        options.subdomains = source.subdomains;
+    }
+    return L.tileLayer(source.url, options);
+}
+
+// (Re)build the tile layers and the on-map layer switcher from the settings
+function initMapLayers() {
+    Object.values(state.baseLayers).forEach(layer => state.map.removeLayer(layer));
+    Object.values(state.overlayLayers).forEach(layer => state.map.removeLayer(layer));
+    if (state.layerControl) {
+        state.layerControl.remove();
+    }
+    state.baseLayers = {};
+    state.overlayLayers = {};
+
+    const baseByName = {};
+    const overlayByName = {};
+    getTileSources().forEach(source => {
+        const layer = createTileLayer(source);
+        layer.sourceId = source.id;
+        if (source.type === 'overlay') {
+            state.overlayLayers[source.id] = layer;
+            overlayByName[source.name] = layer;
+        } else {
+            state.baseLayers[source.id] = layer;
+            baseByName[source.name] = layer;
+        }
+    });
+
+    // Fall back to the first base layer if the saved one no longer exists
+    const baseIds = Object.keys(state.baseLayers);
+    const activeBase = state.baseLayers[state.settings.activeBaseLayer] || state.baseLayers[baseIds[0]];
+    if (activeBase) {
+        activeBase.addTo(state.map);
+    }
+    // Accuracy circles and heatmap sit in the same switcher, after the tile overlays
+    Object.entries(getDataOverlays()).forEach(([id, overlay]) => {
+        state.overlayLayers[id] = overlay.layer;
+        overlayByName[overlay.name] = overlay.layer;
+    });
+
+    (state.settings.activeOverlays || []).forEach(id => {
+        state.overlayLayers[id]?.addTo(state.map);
+    });
+
+    state.layerControl = L.control.layers(baseByName, overlayByName, { position: 'topright' }).addTo(state.map);
+}
+
+// Remember layer switcher choices with the other settings
+function initMapLayerEvents() {
+    state.map.on('baselayerchange', (e) => {
+        state.settings.activeBaseLayer = e.layer.sourceId;
+        persistSettings();
+    });
+    state.map.on('overlayadd overlayremove', (e) => {
+        state.settings.activeOverlays = Object.keys(state.overlayLayers)
+            .filter(id => state.map.hasLayer(state.overlayLayers[id]));
+        persistSettings();
+
+        if (e.type === 'overlayadd') {
+            refreshDataOverlays();
+        }
+    });
+}
+
+function renderCustomLayersList() {
+    const list = document.getElementById('customLayersList');
+    const sources = state.settings.tileSources || [];
+
+    if (sources.length === 0) {
+        list.innerHTML = '<div class="custom-layer-empty">No custom layers</div>';
+        return;
+    }
+
+    list.innerHTML = sources.map(source => `
+        <div class="custom-layer-item">
+            <div class="custom-layer-info">
+                <div class="custom-layer-name">${escapeXml(source.name)} <span>${source.type === 'overlay' ? 'Overlay' : 'Base'}</span></div>
+                <div class="custom-layer-url">${escapeXml(source.url)}</div>
+            </div>
+            <button type="button" class="close-btn" onclick="removeCustomLayer('${source.id}')">&times;</button>
+        </div>
+    `).join('');
+}
+
+function addCustomLayer() {
+    const name = document.getElementById('customLayerName').value.trim();
+    const url = document.getElementById('customLayerUrl').value.trim();
+
+    if (!name || !url) {
+        showToast('Enter a name and URL template', 'error');
+        return;
+    }
+    if (!url.includes('{z}') || !url.includes('{x}') || !url.includes('{y}')) {
+        showToast('URL template needs {z}, {x} and {y}', 'error');
+        return;
+    }
+
+    const source = {
+        id: 'custom-' + Date.now().toString(36),
+        name,
+        type: document.getElementById('customLayerType').value,
+        url,
+        maxZoom: parseInt(document.getElementById('customLayerMaxZoom').value) || 19,
+        attribution: document.getElementById('customLayerAttribution').value.trim(),
+        subdomains: document.getElementById('customLayerSubdomains').value.trim()
+    };
+
+    state.settings.tileSources = [...(state.settings.tileSources || []), source];
+    persistSettings();
+    initMapLayers();
+    renderCustomLayersList();
+
+    ['customLayerName', 'customLayerUrl', 'customLayerAttribution', 'customLayerSubdomains']
+        .forEach(id => { document.getElementById(id).value = ''; });
+    showToast(`Added layer "${name}"`, 'success');
+}
+
+function removeCustomLayer(id) {
+    state.settings.tileSources = (state.settings.tileSources || []).filter(s => s.id !== id);
+    state.settings.activeOverlays = (state.settings.activeOverlays || []).filter(o => o !== id);
+    persistSettings();
+    initMapLayers();
+    renderCustomLayersList();
 }
 
 // ============================================
@@ -542,6 +739,10 @@ function initEventListeners() {
     document.getElementById('saveSettingsBtn').addEventListener('click', saveSettings);
     document.getElementById('testConnectionBtn').addEventListener('click', testEndpointConnection);
     document.getElementById('resetSettingsBtn').addEventListener('click', resetAllSettings);
+    document.getElementById('openDiagnosticsBtn').addEventListener('click', openDiagnosticsModal);
+    document.getElementById('closeDiagnosticsBtn').addEventListener('click', closeDiagnosticsModal);
+    document.getElementById('doneDiagnosticsBtn').addEventListener('click', closeDiagnosticsModal);
+    document.getElementById('exportDiagnosticsBtn').addEventListener('click', exportDiagnostics);
 
     // Accessory modal
     document.getElementById('closeAccessoryBtn').addEventListener('click', closeAccessoryModal);
@@ -554,6 +755,20 @@ function initEventListeners() {
     });
     document.getElementById('deviceJsonInput').addEventListener('change', importDeviceJson);
 
+    // Key count and firmware key material in the accessory modal
+    ['accessoryKey', 'accessoryAdditionalKeys'].forEach(id => {
+        const input = document.getElementById(id);
+        input.addEventListener('input', updateKeyCount);
+        input.addEventListener('change', renderKeyMaterial);
+    });
+
+    // Key generation and firmware export
+    document.getElementById('generateKeysBtn').addEventListener('click', handleGenerateKeys);
+    document.getElementById('exportKeyfileBtn').addEventListener('click', exportFirmwareKeyfile);
+    document.getElementById('exportKeysTextBtn').addEventListener('click', exportKeysText);
+    document.getElementById('exportDeviceJsonBtn').addEventListener('click', exportDeviceJson);
+    document.getElementById('copyAdvKeyBtn').addEventListener('click', copyAdvertisementKey);
+
     // Color picker
     document.querySelectorAll('.color-btn').forEach(btn => {
         btn.addEventListener('click', () => selectColor(btn.dataset.color));
@@ -579,14 +794,31 @@ function initEventListeners() {
 
     // Device detail panel
     document.getElementById('showPathBtn').addEventListener('click', showDevicePath);
+    document.getElementById('detailNavigateBtn').addEventListener('click', () => navigateToDevice(state.selectedDeviceId));
+    document.getElementById('detailEditBtn').addEventListener('click', () => openAccessoryModal(state.selectedDeviceId));
+    document.getElementById('detailExportBtn').addEventListener('click', () => openExportModal(state.selectedDeviceId));
+    document.getElementById('detailToggleActiveBtn').addEventListener('click', () => toggleAccessoryActive(state.selectedDeviceId));
+    document.getElementById('detailHealthBtn').addEventListener('click', () => openHealthModal(state.selectedDeviceId));
+    document.getElementById('closeHealthBtn').addEventListener('click', closeHealthModal);
+    document.getElementById('doneHealthBtn').addEventListener('click', closeHealthModal);
+    document.getElementById('healthBucket').addEventListener('change', renderReportHealth);
     document.getElementById('detailPanelHandle').addEventListener('click', closeDeviceDetail);
 
     // Swipe-right gesture on device detail panel
     initDetailPanelSwipe();
 
+    // History playback in the device detail panel
+    initTimelineControls();
+
     // Add device button
     document.getElementById('addDeviceBtn').addEventListener('click', () => openAccessoryModal());
 
+    // Location history export
+    document.getElementById('exportAllBtn').addEventListener('click', () => openExportModal());
+    document.getElementById('closeExportBtn').addEventListener('click', closeExportModal);
+    document.getElementById('cancelExportBtn').addEventListener('click', closeExportModal);
+    document.getElementById('confirmExportBtn').addEventListener('click', handleExport);
+
     // Refresh button
     document.getElementById('refreshBtn').addEventListener('click', handleRefresh);
 
@@ -605,6 +837,27 @@ function initEventListeners() {
         });
     });
 
+    // Map layers
+    initMapLayerEvents();
+    document.getElementById('addCustomLayerBtn').addEventListener('click', addCustomLayer);
+
+    // Key vault
+    document.getElementById('vaultEnabled').addEventListener('change', handleVaultToggle);
+    document.getElementById('lockNowBtn').addEventListener('click', () => {
+        closeSettingsModal();
+        lockVault();
+    });
+    document.getElementById('unlockBtn').addEventListener('click', handleUnlock);
+    document.getElementById('unlockPassphrase').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') handleUnlock();
+    });
+    document.getElementById('cancelVaultBtn').addEventListener('click', closeVaultModal);
+    document.getElementById('closeVaultBtn').addEventListener('click', closeVaultModal);
+    document.getElementById('enableVaultBtn').addEventListener('click', handleEnableVault);
+    ['pointerdown', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+        document.addEventListener(type, resetVaultIdleTimer, { passive: true });
+    });
+
     // Dark mode toggle
     document.getElementById('darkMode').addEventListener('change', (e) => {
         state.settings.darkMode = e.target.checked;
@@ -777,7 +1030,7 @@ function filterDevicesInFrame() {
                 </div>
                 <div class="device-item-info">
                     <div class="device-item-name">${accessory.name}</div>
-                    <div class="device-item-status">${statusText}</div>
+                    <div class="device-item-status">${escapeXml(statusText)}</div>
                 </div>
                 <div class="device-item-arrow">
                     <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -794,7 +1047,9 @@ function formatTime(timestamp) {
     return date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
 }
 
-function formatLocationStatus(loc) {
+// Named place or place name when one is known (see PLACES and REVERSE GEOCODING),
+// otherwise or when asked for raw, the coordinates
+function formatLocationStatus(loc, raw = false) {
     if (!loc) return 'No location data';
     const date = new Date(loc.timestamp);
     const dateStr = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
@@ -802,7 +1057,12 @@ function formatLocationStatus(loc) {
     const lat = loc.lat.toFixed(6);
     const lng = loc.lng.toFixed(6);
     const ageStr = formatTimeAgo(loc.timestamp);
-    return `${lat}, ${lng} · ${dateStr} ${timeStr} · ${ageStr}`;
+    if (!raw) {
+        const namedPlace = getNamedPlaceLabel(loc, true);
+        if (namedPlace) return `${namedPlace} · ${dateStr} ${timeStr} · ${ageStr}`;
+    }
+    const place = raw ? null : getPlaceName(loc.lat, loc.lng);
+    return `${place ? `Near ${place}` : `${lat}, ${lng}`} · ${dateStr} ${timeStr} · ${ageStr}`;
 }
 
 function formatTimeAgo(timestamp) {
@@ -868,10 +1128,15 @@ function getBatteryIconHtml(batteryStatus) {
 // DEVICE DETAIL PANEL
 // ============================================
 
+// Centre the map on a device and open its detail panel
 function selectDevice(accessoryId) {
     const accessory = state.accessories.find(a => a.id === accessoryId);
     if (!accessory) return;
 
+    // A path drawn for another device does not belong in this one's view
+    if (state.selectedDeviceId && state.selectedDeviceId !== accessoryId) {
+        clearPathLines();
+    }
     state.selectedDeviceId = accessoryId;
 
     const latestLoc = state.locations
@@ -882,28 +1147,121 @@ function selectDevice(accessoryId) {
         state.map.setView([latestLoc.lat, latestLoc.lng], 15);
     }
 
-    // Hide the devices panel and make nav pill-shaped
+    // The detail panel takes the place of the devices panel
     const panel = document.getElementById('bottomPanel');
     const nav = document.querySelector('.bottom-nav');
     panel.classList.add('hidden');
     nav.classList.remove('panel-visible');
-    nav.classList.remove('detail-visible');
 
-    // Hide detail panel if it's open
-    document.getElementById('deviceDetailPanel').classList.remove('active');
+    showDetailPanel(accessoryId);
 }
 
-function closeDeviceDetail() {
-    const detailPanel = document.getElementById('deviceDetailPanel');
-    const nav = document.querySelector('.bottom-nav');
-    detailPanel.classList.remove('active');
-    nav.classList.remove('detail-visible');
-    state.selectedDeviceId = null;
-    clearPathLines();
+// Slide up the detail panel for a device
+function showDetailPanel(accessoryId) {
+    const accessory = state.accessories.find(a => a.id === accessoryId);
+    if (!accessory) return;
 
-    // Restore the devices panel if devices button is active
-    const devicesBtn = document.getElementById('devicesBtn');
-    if (devicesBtn.classList.contains('nav-btn-active')) {
+    geocoder.detailShowsRaw = false;
+    renderDeviceDetail(accessoryId);
+
+    document.getElementById('deviceDetailPanel').classList.add('active');
+    document.querySelector('.bottom-nav').classList.add('detail-visible');
+}
+
+// Fill the detail panel from the accessory and its reports
+function renderDeviceDetail(accessoryId) {
+    const accessory = state.accessories.find(a => a.id === accessoryId);
+    if (!accessory) return;
+
+    const deviceLocations = state.locations
+        .filter(l => l.accessoryId === accessoryId)
+        .sort((a, b) => a.timestamp - b.timestamp);
+    const latestLoc = deviceLocations[deviceLocations.length - 1];
+
+    const icon = document.getElementById('detailDeviceIcon');
+    icon.style.background = `${accessory.color}20`;
+    icon.style.color = accessory.color;
+    icon.innerHTML = `<span>${getDisplayIcon(accessory)}</span>`;
+    document.getElementById('detailDeviceName').textContent = accessory.name;
+    renderDetailStatus(accessoryId);
+    document.getElementById('detailDeviceDistance').dataset.distanceTo = accessoryId;
+    document.getElementById('detailCopyCoords').style.display = latestLoc ? '' : 'none';
+    updateDistanceLabels();
+
+    // Reports over the fetch window, as configured in settings
+    const windowStart = Date.now() - state.settings.daysToFetch * 86400000;
+    const windowCount = deviceLocations.filter(l => l.timestamp >= windowStart).length;
+
+    const rows = [
+        ['Latest fix', latestLoc ? `${formatTimelineDate(latestLoc.timestamp)} · ${formatTimeAgo(latestLoc.timestamp)}` : 'None yet'],
+        ['Accuracy', latestLoc ? `±${latestLoc.accuracy} m` : '–'],
+        ['Confidence', latestLoc?.confidence !== undefined ? String(latestLoc.confidence) : '–'],
+        ['Battery', latestLoc?.batteryStatus ? `${latestLoc.batteryStatus}${getBatteryIconHtml(latestLoc.batteryStatus)}` : 'Unknown'],
+        [`Reports (${state.settings.daysToFetch} days)`, String(windowCount)],
+        ['First seen', deviceLocations.length > 0 ? formatTimelineDate(deviceLocations[0].timestamp) : '–'],
+        ['Last seen', latestLoc ? formatTimelineDate(latestLoc.timestamp) : '–'],
+        ['Device ID', `<code>${escapeXml(accessory.deviceId || '')}</code>`]
+    ];
+
+    document.getElementById('detailInfo').innerHTML = `
+        <div class="detail-section-title">Details${accessory.active ? '' : ' <span>Disabled - not fetched</span>'}</div>
+        ${rows.map(([label, value]) => `
+            <div class="detail-info-row">
+                <span class="detail-info-label">${label}</span>
+                <span class="detail-info-value">${value}</span>
+            </div>
+        `).join('')}
+    `;
+
+    document.getElementById('detailToggleActiveLabel').textContent = accessory.active ? 'Disable' : 'Enable';
+    renderBatteryChart(accessoryId);
+
+    if (healthView.accessoryId === accessoryId && document.getElementById('healthModal').classList.contains('active')) {
+        renderReportHealth();
+    }
+}
+
+// Re-render the open detail panel, e.g. after auto-refresh brought in new reports
+function refreshDeviceDetail() {
+    if (!state.selectedDeviceId || !document.getElementById('deviceDetailPanel').classList.contains('active')) return;
+    if (!state.accessories.some(a => a.id === state.selectedDeviceId)) {
+        closeDeviceDetail();
+        return;
+    }
+    renderDeviceDetail(state.selectedDeviceId);
+}
+
+// Pause or resume fetching a device; its history is kept either way
+function toggleAccessoryActive(accessoryId) {
+    const accessory = state.accessories.find(a => a.id === accessoryId);
+    if (!accessory) return;
+
+    accessory.active = !accessory.active;
+    saveAccessories();
+    showToast(`${accessory.name} ${accessory.active ? 'enabled' : 'disabled'}`, 'success');
+}
+
+// Status line of the detail panel; tapping it switches between the place name and raw coordinates
+function renderDetailStatus(accessoryId) {
+    const latestLoc = state.locations
+        .filter(l => l.accessoryId === accessoryId)
+        .sort((a, b) => b.timestamp - a.timestamp)[0];
+    const status = document.getElementById('detailDeviceStatus');
+    status.textContent = formatLocationStatus(latestLoc, geocoder.detailShowsRaw);
+    status.title = latestLoc ? `${latestLoc.lat.toFixed(6)}, ${latestLoc.lng.toFixed(6)}` : '';
+}
+
+function closeDeviceDetail() {
+    const detailPanel = document.getElementById('deviceDetailPanel');
+    const nav = document.querySelector('.bottom-nav');
+    detailPanel.classList.remove('active');
+    nav.classList.remove('detail-visible');
+    state.selectedDeviceId = null;
+    clearPathLines();
+
+    // Restore the devices panel if devices button is active
+    const devicesBtn = document.getElementById('devicesBtn');
+    if (devicesBtn.classList.contains('nav-btn-active')) {
         const panel = document.getElementById('bottomPanel');
         panel.classList.remove('hidden');
         panel.classList.add('expanded');
@@ -928,6 +1286,9 @@ function initDetailPanelSwipe() {
         // Only start if the detail panel is active
         if (!detailPanel.classList.contains('active')) return;
 
+        // Leave drags on the timeline sliders and scrollable sections alone
+        if (e.target.closest('.timeline, .detail-section')) return;
+
         isDragging = true;
         startY = e.type.includes('mouse') ? e.clientY : e.touches[0].clientY;
         detailPanel.style.transition = 'none';
@@ -982,9 +1343,8 @@ function initDetailPanelSwipe() {
 function showDevicePath() {
     if (!state.selectedDeviceId) return;
 
-    const accessoryLocations = state.locations
-        .filter(l => l.accessoryId === state.selectedDeviceId)
-        .sort((a, b) => a.timestamp - b.timestamp);
+    const track = getDeviceTrack(state.selectedDeviceId);
+    const accessoryLocations = track.locations;
 
     if (accessoryLocations.length < 1) {
         showToast('No location points to show', 'warning');
@@ -994,16 +1354,30 @@ function showDevicePath() {
     // Clear existing paths and markers
     clearPathLines();
 
+    trackView.rejected = track.rejected;
+    drawDevicePath(accessoryLocations, true);
+    showDetailPanel(state.selectedDeviceId);
+    openTimeline(state.selectedDeviceId, accessoryLocations);
+
+    const totalPoints = accessoryLocations.length;
+    const rejectedNote = track.rejected.length > 0 ? ` (${track.rejected.length} filtered out)` : '';
+    showToast(`Showing ${totalPoints} location point${totalPoints > 1 ? 's' : ''}${rejectedNote}`, 'success');
+}
+
+// Line segments are grouped into this many colour bands, so a long history is a
+// few dozen polylines instead of one per segment
+const PATH_COLOR_BANDS = 64;
+
+// Draw a device's points joined by line segments, coloured from red (oldest) to green (newest)
+function drawDevicePath(accessoryLocations, fitMap = false) {
+    removePathLayers();
+
     // Hide other device markers
-    state.markers.forEach(marker => {
-        const deviceId = marker.getDeviceId?.();
-        if (deviceId !== state.selectedDeviceId) {
-            state.map.removeLayer(marker);
-        }
-    });
+    setMarkerFocus(state.selectedDeviceId);
 
     const accessory = state.accessories.find(a => a.id === state.selectedDeviceId);
     const totalPoints = accessoryLocations.length;
+    const keys = accessory ? getAccessoryKeys(accessory) : [];
 
     // Helper to interpolate color from red (oldest) to green (newest)
     function getColorForIndex(index) {
@@ -1014,869 +1388,5387 @@ function showDevicePath() {
         return `rgb(${r}, ${g}, 0)`;
     }
 
-    // Add location dots and create line segments
-    for (let i = 0; i < totalPoints; i++) {
-        const loc = accessoryLocations[i];
-        const color = getColorForIndex(i);
-
+    // Popup content is only built when a point is opened
+    function buildPopupContent(loc) {
         const date = new Date(loc.timestamp);
         const dateStr = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
         const timeStr = date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
         const ageStr = formatTimeAgo(loc.timestamp);
+        const keyIndex = findReportKeyIndex(keys, loc);
+        const namedPlace = getNamedPlaceLabel(loc);
+        const geocoded = namedPlace ? null : getPlaceName(loc.lat, loc.lng);
+        const place = namedPlace || (geocoded ? `Near ${geocoded}` : null);
 
-        // Create popup content
-        const popupContent = `
+        return `
             <div class="location-popup">
                 <div style="font-weight: 600; font-size: 13px; margin-bottom: 4px;">${dateStr} ${timeStr}</div>
+                ${place ? `<div style="font-size: 12px;">${escapeXml(place)}</div>` : ''}
                 <div style="font-size: 12px; opacity: 0.8;">${loc.lat.toFixed(6)}, ${loc.lng.toFixed(6)}</div>
                 <div style="font-size: 11px; opacity: 0.6; margin-top: 2px;">${ageStr}</div>
                 <div style="font-size: 11px; opacity: 0.6;">Accuracy: ±${loc.accuracy}m</div>
+                ${loc.finderCount > 1 ? `<div style="font-size: 11px; opacity: 0.6;">Merged from ${loc.finderCount} reports</div>` : ''}
+                ${keys.length > 1 && keyIndex >= 0 ? `<div style="font-size: 11px; opacity: 0.6;">Key ${keyIndex + 1} of ${keys.length}</div>` : ''}
             </div>
         `;
+    }
 
-        // Add circle marker for each location
+    // Lines first so the dots are drawn on top of them
+    const bandCount = Math.min(PATH_COLOR_BANDS, totalPoints - 1);
+    for (let band = 0; band < bandCount; band++) {
+        const first = Math.floor(band * (totalPoints - 1) / bandCount);
+        const last = Math.floor((band + 1) * (totalPoints - 1) / bandCount);
+
+        const line = L.polyline(accessoryLocations.slice(first, last + 1).map(l => [l.lat, l.lng]), {
+            color: getColorForIndex((first + last) / 2),
+            weight: 4,
+            opacity: 0.8,
+            className: 'location-path',
+            interactive: false,
+            renderer: state.pathRenderer
+        }).addTo(state.map);
+
+        state.pathPolylines.push(line);
+    }
+
+    // Smaller dots once there are enough of them to overlap
+    const radius = totalPoints > 2000 ? 4 : totalPoints > 300 ? 7 : 12;
+    accessoryLocations.forEach((loc, i) => {
         const circle = L.circleMarker([loc.lat, loc.lng], {
-            radius: 12,
-            fillColor: color,
+            radius,
+            fillColor: getColorForIndex(i),
             color: '#fff',
-            weight: 2,
+            weight: radius > 4 ? 2 : 1,
             opacity: 1,
-            fillOpacity: 1
-        }).bindPopup(popupContent).addTo(state.map);
+            fillOpacity: 1,
+            renderer: state.pathRenderer
+        }).bindPopup(() => buildPopupContent(loc)).addTo(state.map);
+
+        // Fill in the place name once the geocoder answers
+        circle.on('popupopen', (e) => {
+            if (getNamedPlaceLabel(loc)) return;
+            lookupPlaceName(loc.lat, loc.lng).then(place => {
+                if (place && e.popup.isOpen()) e.popup.setContent(buildPopupContent(loc));
+            });
+        });
 
         state.pathPolylines.push(circle);
+    });
 
-        // Create line segment to next point
-        if (i < totalPoints - 1) {
-            const nextLoc = accessoryLocations[i + 1];
-            // Use average color for the segment
-            const segmentColor = getColorForIndex(i + 0.5);
-
-            const line = L.polyline([[loc.lat, loc.lng], [nextLoc.lat, nextLoc.lng]], {
-                color: segmentColor,
-                weight: 4,
-                opacity: 0.8,
-                className: 'location-path'
-            }).addTo(state.map);
+    renderRejectedPoints(accessoryLocations);
+    renderStayPoints(accessoryLocations);
+    renderTrips(accessoryLocations);
 
-            state.pathPolylines.push(line);
-        }
-    }
+    dataOverlays.pathLocations = accessoryLocations;
+    refreshDataOverlays();
 
     // Fit map to show all points
-    if (totalPoints > 0) {
+    if (fitMap && totalPoints > 0) {
         const group = new L.featureGroup(state.pathPolylines);
         state.map.fitBounds(group.getBounds().pad(0.2));
     }
+}
 
-    showToast(`Showing ${totalPoints} location point${totalPoints > 1 ? 's' : ''}`, 'success');
+function removePathLayers() {
+    state.pathPolylines.forEach(line => state.map.removeLayer(line));
+    state.pathPolylines = [];
+    timeline.faded = false;
+    dataOverlays.pathLocations = null;
+    clearRejectedPoints();
+    clearStayPoints();
+    clearTrips();
 }
 
 function clearPathLines() {
     // Remove path lines and dots
-    state.pathPolylines.forEach(line => state.map.removeLayer(line));
-    state.pathPolylines = [];
+    removePathLayers();
+    closeTimeline();
 
     // Restore all device markers
-    state.markers.forEach(marker => {
-        if (!state.map.hasLayer(marker)) {
-            marker.addTo(state.map);
-        }
-    });
+    setMarkerFocus(null);
+    refreshDataOverlays();
 }
 
 // ============================================
-// SETTINGS
+// TIMELINE PLAYBACK
 // ============================================
 
-function loadSettings() {
-    const saved = localStorage.getItem('haystackSettings');
-    if (saved) {
-        try {
-            state.settings = { ...state.settings, ...JSON.parse(saved) };
-        } catch (e) {
-            console.error('Failed to load settings:', e);
-        }
-    }
+// Plays a device's history back over time: the cursor moves a marker along the
+// track with a trailing tail, and the start/end handles bound the visible window
+const TIMELINE_TAIL_POINTS = 10;
 
-    document.getElementById('endpointUrl').value = state.settings.endpointUrl;
-    document.getElementById('endpointUser').value = state.settings.endpointUser;
-    document.getElementById('endpointPass').value = state.settings.endpointPass;
-    document.getElementById('daysToFetch').value = state.settings.daysToFetch;
-    document.getElementById('fetchOnStartup').checked = state.settings.fetchOnStartup;
-    document.getElementById('darkMode').checked = state.settings.darkMode;
-    document.getElementById('autoRefresh').checked = state.settings.autoRefresh;
-    document.getElementById('autoRefreshInterval').value = state.settings.autoRefreshInterval;
-}
+const timeline = {
+    accessoryId: null,
+    locations: [],
+    start: 0,
+    end: 0,
+    cursor: 0,
+    playing: false,
+    lastFrame: null,
+    frameId: null,
+    tailLayer: null,
+    markerLayer: null,
+    faded: false    // whether the full path is currently dimmed
+};
 
-function saveSettings() {
-    state.settings.endpointUrl = document.getElementById('endpointUrl').value.trim();
-    state.settings.endpointUser = document.getElementById('endpointUser').value.trim();
-    state.settings.endpointPass = document.getElementById('endpointPass').value.trim();
-    state.settings.daysToFetch = parseInt(document.getElementById('daysToFetch').value);
-    state.settings.fetchOnStartup = document.getElementById('fetchOnStartup').checked;
-    state.settings.darkMode = document.getElementById('darkMode').checked;
-    state.settings.autoRefresh = document.getElementById('autoRefresh').checked;
-    state.settings.autoRefreshInterval = parseInt(document.getElementById('autoRefreshInterval').value) || 60;
+function openTimeline(accessoryId, locations) {
+    closeTimeline();
+
+    timeline.accessoryId = accessoryId;
+    timeline.locations = locations;
+    timeline.start = locations[0].timestamp;
+    timeline.end = locations[locations.length - 1].timestamp;
+    timeline.cursor = timeline.end;
+
+    const min = timeline.start;
+    const max = Math.max(timeline.end, timeline.start + 60000);
+    ['timelineStart', 'timelineEnd'].forEach(id => {
+        const input = document.getElementById(id);
+        input.min = min;
+        input.max = max;
+        // No step grid, so the handles can reach the first and last report exactly
+        input.step = 'any';
+    });
+    document.getElementById('timelineStart').value = timeline.start;
+    document.getElementById('timelineEnd').value = max;
 
-    localStorage.setItem('haystackSettings', JSON.stringify(state.settings));
+    document.getElementById('timeline').style.display = locations.length > 1 ? '' : 'none';
+    updateTimelineWindow(false);
+}
 
-    // Restart auto-refresh with new settings
-    stopAutoRefresh();
-    if (state.settings.autoRefresh) {
-        startAutoRefresh();
-    }
+function closeTimeline() {
+    pauseTimeline();
+    if (timeline.tailLayer) state.map.removeLayer(timeline.tailLayer);
+    if (timeline.markerLayer) state.map.removeLayer(timeline.markerLayer);
+    timeline.tailLayer = null;
+    timeline.markerLayer = null;
+    timeline.accessoryId = null;
+    timeline.locations = [];
+    document.getElementById('timeline').style.display = 'none';
+}
 
-    closeSettingsModal();
-    showToast('Settings saved', 'success');
+function getTimelineWindowLocations() {
+    return timeline.locations.filter(l => l.timestamp >= timeline.start && l.timestamp <= timeline.end);
 }
 
-function openSettingsModal() {
-    const modal = document.getElementById('settingsModal');
-    const nav = document.querySelector('.bottom-nav');
-    const settingsBtn = document.getElementById('settingsBtn');
+// Redraw the path for the start/end window and keep the cursor inside it
+function updateTimelineWindow(redrawPath = true) {
+    const cursorInput = document.getElementById('timelineCursor');
+    cursorInput.min = timeline.start;
+    cursorInput.max = Math.max(timeline.end, timeline.start + 60000);
+    cursorInput.step = 'any';
+    timeline.cursor = Math.min(Math.max(timeline.cursor, timeline.start), timeline.end);
+    cursorInput.value = timeline.cursor;
+
+    document.getElementById('timelineStartLabel').textContent = formatTimelineDate(timeline.start);
+    document.getElementById('timelineEndLabel').textContent = formatTimelineDate(timeline.end);
+
+    if (redrawPath) {
+        const windowLocations = getTimelineWindowLocations();
+        if (windowLocations.length > 0) {
+            drawDevicePath(windowLocations);
+        } else {
+            removePathLayers();
+            refreshDataOverlays();
+        }
+    }
 
-    // Update active state
-    document.querySelectorAll('.nav-btn').forEach(btn => btn.classList.remove('nav-btn-active'));
-    settingsBtn.classList.add('nav-btn-active');
+    updateTimelineCursor();
+}
 
-    // Close device detail if open
-    document.getElementById('deviceDetailPanel').classList.remove('active');
-    nav.classList.remove('detail-visible');
-    state.selectedDeviceId = null;
-    clearPathLines();
+function formatDistance(meters) {
+    return meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`;
+}
 
-    // Hide the devices panel
-    document.getElementById('bottomPanel').classList.add('hidden');
-    nav.classList.remove('panel-visible');
+// Compact duration, e.g. "45 min", "2 h 15 min", "3 d 4 h"
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+    const days = Math.floor(hours / 24);
+    return hours % 24 ? `${days} d ${hours % 24} h` : `${days} d`;
+}
 
-    modal.classList.add('active');
-    nav.classList.add('settings-visible');
+function formatTimelineDate(timestamp) {
+    const date = new Date(timestamp);
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) + ' ' +
+        date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
 }
 
-function closeSettingsModal() {
-    const modal = document.getElementById('settingsModal');
-    const nav = document.querySelector('.bottom-nav');
-    modal.classList.remove('active');
-    nav.classList.remove('settings-visible');
+// Position on the track at a time, interpolated between the surrounding reports
+function getTimelinePosition(time) {
+    const locations = getTimelineWindowLocations();
+    if (locations.length === 0) return null;
 
-    // Restore location button as active
-    document.querySelectorAll('.nav-btn').forEach(btn => btn.classList.remove('nav-btn-active'));
-    document.getElementById('locationBtn').classList.add('nav-btn-active');
-}
+    let index = -1;
+    for (let i = 0; i < locations.length; i++) {
+        if (locations[i].timestamp <= time) index = i;
+        else break;
+    }
 
-function applyDarkMode() {
-    if (state.settings.darkMode) {
-        document.body.classList.add('dark-mode');
-    } else {
-        document.body.classList.remove('dark-mode');
+    if (index === -1) {
+        return { current: locations[0], index: 0, latLng: [locations[0].lat, locations[0].lng], locations };
     }
-}
 
-// ============================================
-// AUTO-REFRESH
-// ============================================
+    const current = locations[index];
+    const next = locations[index + 1];
+    let latLng = [current.lat, current.lng];
+    if (next && next.timestamp > current.timestamp) {
+        const ratio = (time - current.timestamp) / (next.timestamp - current.timestamp);
+        latLng = [
+            current.lat + (next.lat - current.lat) * ratio,
+            current.lng + (next.lng - current.lng) * ratio
+        ];
+    }
 
-function startAutoRefresh() {
-    stopAutoRefresh(); // Clear any existing timer
+    return { current, index, latLng, locations };
+}
 
-    if (!state.settings.autoRefresh) {
-        return;
+// Move the marker and tail to the cursor and show the current report
+function updateTimelineCursor() {
+    const position = getTimelinePosition(timeline.cursor);
+    const accessory = state.accessories.find(a => a.id === timeline.accessoryId);
+    if (!position || !accessory) return;
+
+    const tailPoints = position.locations
+        .slice(Math.max(0, position.index - TIMELINE_TAIL_POINTS + 1), position.index + 1)
+        .map(l => [l.lat, l.lng]);
+    tailPoints.push(position.latLng);
+
+    if (!timeline.tailLayer) {
+        timeline.tailLayer = L.polyline(tailPoints, {
+            color: accessory.color,
+            weight: 6,
+            opacity: 0.9,
+            className: 'location-path'
+        }).addTo(state.map);
+        timeline.markerLayer = L.circleMarker(position.latLng, {
+            radius: 14,
+            fillColor: accessory.color,
+            color: '#fff',
+            weight: 3,
+            fillOpacity: 1
+        }).addTo(state.map);
+    } else {
+        timeline.tailLayer.setLatLngs(tailPoints);
+        timeline.markerLayer.setLatLng(position.latLng);
     }
 
-    const intervalMs = state.settings.autoRefreshInterval * 1000;
-    console.log(`Auto-refresh enabled: every ${state.settings.autoRefreshInterval}s`);
+    // Fade the full path while scrubbing so the tail stands out. Only restyle when
+    // that changes: long histories have thousands of layers.
+    const scrubbing = timeline.cursor < timeline.end;
+    if (scrubbing !== timeline.faded) {
+        timeline.faded = scrubbing;
+        state.pathPolylines.forEach(layer => layer.setStyle({
+            opacity: scrubbing ? 0.3 : (layer instanceof L.CircleMarker ? 1 : 0.8),
+            fillOpacity: scrubbing ? 0.3 : 1
+        }));
+    }
 
-    state.autoRefreshTimer = setInterval(async () => {
-        console.log('Auto-refreshing locations...');
-        try {
-            await fetchLocations(true); // true = isAutoRefresh
-        } catch (error) {
-            console.error('Auto-refresh error:', error);
-        }
-    }, intervalMs);
+    const current = position.current;
+    document.getElementById('timelineTime').textContent = formatTimelineDate(current.timestamp);
+    document.getElementById('timelineAccuracy').textContent = `±${current.accuracy}m`;
 }
 
-function stopAutoRefresh() {
-    if (state.autoRefreshTimer) {
-        clearInterval(state.autoRefreshTimer);
-        state.autoRefreshTimer = null;
-        console.log('Auto-refresh stopped');
+function playTimeline() {
+    if (timeline.playing) return;
+
+    // Start over if the cursor is already at the end
+    if (timeline.cursor >= timeline.end) {
+        timeline.cursor = timeline.start;
     }
+
+    timeline.playing = true;
+    timeline.lastFrame = null;
+    document.getElementById('timelinePlayBtn').classList.add('playing');
+    timeline.frameId = requestAnimationFrame(stepTimeline);
 }
 
-function resetAllSettings() {
-    if (confirm('This will clear all settings and devices. Are you sure?')) {
-        localStorage.removeItem('haystackSettings');
-        localStorage.removeItem('haystackAccessories');
-        location.reload();
+function pauseTimeline() {
+    timeline.playing = false;
+    if (timeline.frameId) {
+        cancelAnimationFrame(timeline.frameId);
+        timeline.frameId = null;
     }
+    document.getElementById('timelinePlayBtn').classList.remove('playing');
 }
 
-async function testEndpointConnection() {
-    const url = document.getElementById('endpointUrl').value.trim();
-    const testBtn = document.getElementById('testConnectionBtn');
-    const originalText = testBtn.textContent;
+function stepTimeline(now) {
+    if (!timeline.playing) return;
 
-    if (!url) {
-        showToast('Please enter an endpoint URL', 'error');
-        return;
+    if (timeline.lastFrame !== null) {
+        // Speed is track time per second of playback
+        const speed = parseInt(document.getElementById('timelineSpeed').value) || 3600000;
+        timeline.cursor += ((now - timeline.lastFrame) / 1000) * speed;
     }
+    timeline.lastFrame = now;
 
-    testBtn.textContent = 'Testing...';
-    testBtn.disabled = true;
-
-    try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 10000);
+    if (timeline.cursor >= timeline.end) {
+        timeline.cursor = timeline.end;
+        pauseTimeline();
+    }
 
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ ids: [], days: 1 }),
-            signal: controller.signal
-        });
+    document.getElementById('timelineCursor').value = timeline.cursor;
+    updateTimelineCursor();
 
-        clearTimeout(timeoutId);
+    if (timeline.playing) {
+        timeline.frameId = requestAnimationFrame(stepTimeline);
+    }
+}
 
-        if (response.status === 404) {
-            showToast('Server reachable but endpoint not found', 'warning');
-        } else if (response.status === 401) {
-            showToast('Server reachable! Authentication required', 'success');
-        } else if (response.status === 200 || response.status === 400) {
-            showToast('Connection successful!', 'success');
-        } else {
-            showToast(`Server responded with status ${response.status}`, 'success');
-        }
-    } catch (error) {
-        if (error.name === 'AbortError') {
-            showToast('Connection timed out', 'error');
+function initTimelineControls() {
+    document.getElementById('timelinePlayBtn').addEventListener('click', () => {
+        if (timeline.playing) {
+            pauseTimeline();
         } else {
-            showToast(`Error: ${error.message}`, 'error');
+            playTimeline();
         }
-    } finally {
-        testBtn.textContent = originalText;
-        testBtn.disabled = false;
-    }
+    });
+
+    document.getElementById('timelineCursor').addEventListener('input', (e) => {
+        pauseTimeline();
+        timeline.cursor = parseInt(e.target.value);
+        updateTimelineCursor();
+    });
+
+    // Keep the start handle before the end handle
+    document.getElementById('timelineStart').addEventListener('input', (e) => {
+        const end = parseInt(document.getElementById('timelineEnd').value);
+        const start = Math.min(parseInt(e.target.value), end - 60000);
+        e.target.value = start;
+        timeline.start = start;
+        updateTimelineWindow();
+    });
+
+    document.getElementById('timelineEnd').addEventListener('input', (e) => {
+        const start = parseInt(document.getElementById('timelineStart').value);
+        const end = Math.max(parseInt(e.target.value), start + 60000);
+        e.target.value = end;
+        timeline.end = end;
+        updateTimelineWindow();
+    });
+
+    const trackMode = document.getElementById('trackMode');
+    const showRejected = document.getElementById('showRejected');
+    trackMode.value = state.settings.trackMode;
+    showRejected.checked = state.settings.showRejectedPoints;
+
+    trackMode.addEventListener('change', (e) => {
+        state.settings.trackMode = e.target.value;
+        persistSettings();
+        refreshDeviceTrack();
+    });
+
+    showRejected.addEventListener('change', (e) => {
+        state.settings.showRejectedPoints = e.target.checked;
+        persistSettings();
+        refreshDeviceTrack();
+    });
 }
 
 // ============================================
-// ACCESSORIES
+// TRACK CLEANING
 // ============================================
 
-function loadAccessories() {
-    const saved = localStorage.getItem('haystackAccessories');
-    if (saved) {
-        try {
-            state.accessories = JSON.parse(saved);
-        } catch (e) {
-            console.error('Failed to load accessories:', e);
-            state.accessories = [];
-        }
-    }
-    renderDevicesList();
-}
+// Reports dropped by cleanTrack (analysis.js) for the shown path, drawn greyed out on request
+const trackView = {
+    rejected: [],
+    layers: []
+};
 
-function saveAccessories() {
-    localStorage.setItem('haystackAccessories', JSON.stringify(state.accessories));
-    renderDevicesList();
-}
+const rejectReasons = {
+    accuracy: 'Accuracy too low',
+    confidence: 'Low confidence',
+    duplicate: 'Duplicate of another report',
+    speed: 'Implausible jump'
+};
 
-function openAccessoryModal(accessoryId = null) {
-    state.currentAccessoryId = accessoryId;
-    state.selectedColor = '#3B82F6';
+// A device's path as chosen in the track options: raw reports, cleaned, or cleaned and smoothed
+function getDeviceTrack(accessoryId) {
+    const raw = state.locations
+        .filter(l => l.accessoryId === accessoryId)
+        .sort((a, b) => a.timestamp - b.timestamp);
 
-    if (accessoryId) {
-        const accessory = state.accessories.find(a => a.id === accessoryId);
-        if (accessory) {
-            document.getElementById('accessoryModalTitle').textContent = 'Edit Accessory';
-            document.getElementById('accessoryName').value = accessory.name;
-            document.getElementById('accessoryId').value = accessory.deviceId;
-            document.getElementById('accessoryKey').value = accessory.privateKey;
-            state.selectedColor = accessory.color;
-            // Set icon input - if it's an old icon name, convert it to emoji
-            const iconEmoji = iconMap[accessory.icon] || accessory.icon || '🏷️';
-            document.getElementById('accessoryIcon').value = iconEmoji;
-        }
-    } else {
-        document.getElementById('accessoryModalTitle').textContent = 'Add Accessory';
-        document.getElementById('accessoryName').value = '';
-        document.getElementById('accessoryId').value = '';
-        document.getElementById('accessoryKey').value = '';
-        document.getElementById('accessoryIcon').value = '';
+    if (state.settings.trackMode === 'raw' || raw.length < 3) {
+        return { locations: raw, rejected: [] };
     }
 
-    selectColor(state.selectedColor);
-    document.getElementById('accessoryModal').classList.add('active');
+    const cleaned = cleanTrack(raw);
+    if (cleaned.locations.length === 0) {
+        return { locations: raw, rejected: [] };
+    }
+
+    const locations = state.settings.trackMode === 'smoothed' ? smoothTrack(cleaned.locations) : cleaned.locations;
+    return { locations, rejected: cleaned.rejected };
 }
 
-function closeAccessoryModal() {
-    document.getElementById('accessoryModal').classList.remove('active');
-    state.currentAccessoryId = null;
+// Swap the timeline to the track for the current options, keeping the start/end window
+function refreshDeviceTrack() {
+    if (!timeline.accessoryId) return;
+
+    const track = getDeviceTrack(timeline.accessoryId);
+    trackView.rejected = track.rejected;
+    timeline.locations = track.locations;
+    updateTimelineWindow();
 }
 
-function selectColor(color) {
-    state.selectedColor = color;
+function renderRejectedPoints(locations) {
+    clearRejectedPoints();
+    if (!state.settings.showRejectedPoints || locations.length === 0) return;
+
+    const from = locations[0].timestamp;
+    const to = locations[locations.length - 1].timestamp;
+
+    trackView.rejected
+        .filter(loc => loc.timestamp >= from && loc.timestamp <= to)
+        .forEach(loc => {
+            const marker = L.circleMarker([loc.lat, loc.lng], {
+                radius: 6,
+                color: '#9CA3AF',
+                weight: 1,
+                fillColor: '#6B7280',
+                fillOpacity: 0.6,
+                renderer: state.pathRenderer
+            }).bindPopup(`
+                <div class="location-popup">
+                    <div style="font-weight: 600; font-size: 13px; margin-bottom: 4px;">${rejectReasons[loc.rejectReason] || 'Filtered out'}</div>
+                    <div style="font-size: 12px; opacity: 0.8;">${formatTimelineDate(loc.timestamp)}</div>
+                    <div style="font-size: 11px; opacity: 0.6;">${loc.lat.toFixed(6)}, ${loc.lng.toFixed(6)} · ±${loc.accuracy}m</div>
+                </div>
+            `).addTo(state.map);
+            marker.bringToBack();
+            trackView.layers.push(marker);
+        });
+}
 
-    // Update color buttons
-    let found = false;
-    document.querySelectorAll('.color-btn').forEach(btn => {
-        const isSelected = btn.dataset.color === color;
-        btn.classList.toggle('selected', isSelected);
-        if (isSelected) found = true;
-    });
+function clearRejectedPoints() {
+    trackView.layers.forEach(layer => state.map.removeLayer(layer));
+    trackView.layers = [];
+}
 
-    if (!found) {
-        document.querySelector('.color-btn')?.classList.add('selected');
-    }
+// ============================================
+// STAY POINTS
+// ============================================
 
-    // Update hex input and color slider
-    document.getElementById('accessoryColor').value = color.toUpperCase();
-    document.getElementById('colorSlider').value = color;
+// Where the shown path's device spent its time: visits (stay points from
+// analysis.js) as circles sized by duration, and a per-place summary
+const stayView = {
+    stays: [],
+    places: [],
+    layers: []
+};
+
+function renderStayPoints(locations) {
+    clearStayPoints();
+
+    const accessory = state.accessories.find(a => a.id === state.selectedDeviceId);
+    if (!accessory || locations.length < 2) return;
+
+    const radius = state.settings.stayRadius;
+    stayView.stays = detectStayPoints(locations, { radius, minDwell: state.settings.stayMinMinutes * 60000 });
+    stayView.places = groupStayPoints(stayView.stays, radius);
+
+    stayView.stays.forEach((stay, i) => {
+        // Circle area grows with time spent, from 10px up to 32px radius
+        const hours = stay.duration / 3600000;
+        const circle = L.circleMarker([stay.lat, stay.lng], {
+            radius: Math.min(32, 10 + Math.sqrt(hours) * 6),
+            color: accessory.color,
+            weight: 2,
+            fillColor: accessory.color,
+            fillOpacity: 0.25,
+            renderer: state.pathRenderer
+        }).bindTooltip(`
+            <strong>Place ${stay.place.index}</strong> · ${formatDuration(stay.duration)}<br>
+            ${formatTimelineDate(stay.arrival)} – ${formatTimelineDate(stay.departure)}
+        `).addTo(state.map);
+
+        // Keep the report dots above so their popups still open
+        circle.bringToBack();
+        circle.on('click', () => focusStayPoint(i));
+        stayView.layers.push(circle);
+    });
+
+    renderStayPointList(locations);
 }
 
-function saveAccessory() {
-    const name = document.getElementById('accessoryName').value.trim();
-    const deviceId = document.getElementById('accessoryId').value.trim();
-    const privateKey = document.getElementById('accessoryKey').value.trim();
-    const iconEmoji = document.getElementById('accessoryIcon').value.trim() || '🏷️';
-    const colorHex = document.getElementById('accessoryColor').value.trim() || '#3B82F6';
+function renderStayPointList(locations) {
+    const container = document.getElementById('stayPoints');
+    container.style.display = '';
 
-    if (!name || !deviceId || !privateKey) {
-        showToast('Please fill in all fields', 'error');
+    if (stayView.stays.length === 0) {
+        container.innerHTML = `
+            <div class="detail-section-title">Places Visited</div>
+            <div class="detail-section-empty">No stays of ${state.settings.stayMinMinutes} min or longer in this range</div>
+        `;
         return;
     }
 
-    const accessory = {
-        id: state.currentAccessoryId || Date.now().toString(),
-        name,
-        deviceId,
-        privateKey,
-        color: colorHex,
-        icon: iconEmoji,
-        active: true,
-        createdAt: new Date().toISOString()
-    };
+    const rangeStart = timeline.accessoryId ? timeline.start : locations[0].timestamp;
+    const rangeEnd = timeline.accessoryId ? timeline.end : locations[locations.length - 1].timestamp;
+    const range = Math.max(rangeEnd - rangeStart, 1);
+    const total = stayView.places.reduce((sum, p) => sum + p.duration, 0);
+
+    const placeRows = stayView.places.map(place => `
+        <div class="stay-place">
+            <span class="stay-place-index">${place.index}</span>
+            <div class="stay-place-info">
+                <div class="stay-place-name">Place ${place.index} <span>· ${place.visits.length} visit${place.visits.length > 1 ? 's' : ''}</span></div>
+                <div class="stay-place-bar"><div style="width: ${Math.round(place.duration / range * 100)}%"></div></div>
+            </div>
+            <span class="stay-place-time">${formatDuration(place.duration)}</span>
+        </div>
+    `).join('');
 
-    if (state.currentAccessoryId) {
-        const index = state.accessories.findIndex(a => a.id === state.currentAccessoryId);
-        if (index !== -1) {
-            state.accessories[index] = accessory;
-        }
-    } else {
-        state.accessories.push(accessory);
-    }
+    const visitRows = stayView.stays.map((stay, i) => ({ stay, i })).reverse().map(({ stay, i }) => `
+        <div class="stay-visit" onclick="focusStayPoint(${i})">
+            <span class="stay-place-index">${stay.place.index}</span>
+            <span class="stay-visit-time">${formatTimelineDate(stay.arrival)} – ${formatTimelineDate(stay.departure)}</span>
+            <span class="stay-place-time">${formatDuration(stay.duration)}</span>
+        </div>
+    `).join('');
 
-    saveAccessories();
-    closeAccessoryModal();
-    showToast('Accessory saved', 'success');
-    fetchLocations(); // Auto-fetch after adding
+    container.innerHTML = `
+        <div class="detail-section-title">Places Visited <span>${formatDuration(total)} of ${formatDuration(range)} at ${stayView.places.length} place${stayView.places.length > 1 ? 's' : ''}</span></div>
+        ${placeRows}
+        <div class="detail-section-title">Visits</div>
+        ${visitRows}
+    `;
 }
 
-function deleteAccessory(id) {
-    if (confirm('Are you sure you want to delete this accessory?')) {
-        state.accessories = state.accessories.filter(a => a.id !== id);
-        saveAccessories();
-        showToast('Accessory deleted', 'success');
-    }
+function focusStayPoint(index) {
+    const stay = stayView.stays[index];
+    if (!stay) return;
+
+    state.map.setView([stay.lat, stay.lng], Math.max(state.map.getZoom(), 16));
+    stayView.layers[index].openTooltip();
 }
 
-function renderDevicesList() {
-    const devicesList = document.getElementById('devicesList');
+function clearStayPoints() {
+    stayView.layers.forEach(layer => state.map.removeLayer(layer));
+    stayView.layers = [];
+    stayView.stays = [];
+    stayView.places = [];
 
-    if (state.accessories.length === 0) {
-        devicesList.innerHTML = `
-            <div class="empty-state">
-                <div class="empty-state-icon">🎒</div>
-                <div class="empty-state-text">No devices yet</div>
-                <div class="empty-state-subtext">Tap + to add your first device</div>
-            </div>
-        `;
-        document.getElementById('devicesCount').textContent = '0';
-        return;
-    }
+    const container = document.getElementById('stayPoints');
+    container.style.display = 'none';
+    container.innerHTML = '';
+}
 
-    document.getElementById('devicesCount').textContent = state.accessories.length;
+// ============================================
+// TRIPS
+// ============================================
 
-    // Sort accessories by latest location timestamp (most recent first)
-    const sortedAccessories = [...state.accessories].sort((a, b) => {
-        const aLatest = state.locations
-            .filter(l => l.accessoryId === a.id)
-            .sort((x, y) => y.timestamp - x.timestamp)[0];
-        const bLatest = state.locations
-            .filter(l => l.accessoryId === b.id)
-            .sort((x, y) => y.timestamp - x.timestamp)[0];
+// Movement between stays, from segmentTrips (analysis.js), listed with stats
+// and a path preview; selecting one highlights it on the map
+const tripView = {
+    trips: [],
+    selected: null,
+    highlight: null
+};
 
-        const aTime = aLatest?.timestamp || 0;
-        const bTime = bLatest?.timestamp || 0;
-        return bTime - aTime;
-    });
+function renderTrips(locations) {
+    clearTrips();
 
-    devicesList.innerHTML = sortedAccessories.map(accessory => {
-        const latestLoc = state.locations
-            .filter(l => l.accessoryId === accessory.id)
-            .sort((a, b) => b.timestamp - a.timestamp)[0];
+    const accessory = state.accessories.find(a => a.id === state.selectedDeviceId);
+    if (!accessory || locations.length < 2) return;
 
-        const statusText = formatLocationStatus(latestLoc);
-        const batteryIcon = getBatteryIconHtml(latestLoc?.batteryStatus);
+    tripView.trips = segmentTrips(locations, stayView.stays, { minDistance: state.settings.stayRadius * 2 });
 
-        return `
-            <div class="device-item-wrapper" data-device-id="${accessory.id}">
-                <div class="device-item" onclick="selectDevice('${accessory.id}')">
-                    <div class="device-item-icon" style="background: ${accessory.color}20; color: ${accessory.color}">
-                        ${getDisplayIcon(accessory)}
-                    </div>
-                    <div class="device-item-info">
-                        <div class="device-item-name">${accessory.name}${batteryIcon}</div>
-                        <div class="device-item-status">${statusText}</div>
-                    </div>
-                    <div class="device-item-arrow">
-                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <polyline points="9 18 15 12 9 6"></polyline>
-                        </svg>
-                    </div>
-                </div>
-                <div class="device-item-actions">
-                    <div class="device-item-navigate" onclick="navigateToDevice('${accessory.id}')">
-                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <polygon points="3 11 22 2 13 21 11 22 22 11 3"></polygon>
-                            <circle cx="12" cy="11" r="3"></circle>
-                        </svg>
-                        Navigate
-                    </div>
-                    <div class="device-item-history" onclick="showDeviceHistory('${accessory.id}')">
-                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <circle cx="12" cy="12" r="10"></circle>
-                            <polyline points="12 6 12 12 16 14"></polyline>
-                        </svg>
-                        History
-                    </div>
-                    <div class="device-item-delete" onclick="deleteAccessory('${accessory.id}')">
-                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <polyline points="3 6 5 6 21 6"></polyline>
-                            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-                        </svg>
-                        Delete
-                    </div>
-                </div>
-            </div>
+    const container = document.getElementById('tripList');
+    container.style.display = '';
+
+    if (tripView.trips.length === 0) {
+        container.innerHTML = `
+            <div class="detail-section-title">Trips</div>
+            <div class="detail-section-empty">No trips in this range</div>
         `;
-    }).join('');
+        return;
+    }
 
-    // Initialize swipe gestures for device items
-    initDeviceSwipeGestures();
+    const totalDistance = tripView.trips.reduce((sum, trip) => sum + trip.distance, 0);
+    const rows = tripView.trips.map((trip, i) => ({ trip, i })).reverse().map(({ trip, i }) => `
+        <div class="trip-item" data-trip="${i}" onclick="selectTrip(${i})">
+            ${buildTripPreviewSvg(trip.locations, accessory.color)}
+            <div class="trip-info">
+                <div class="trip-time">${formatTimelineDate(trip.start)} – ${formatTimelineDate(trip.end)}</div>
+                <div class="trip-stats">${formatDistance(trip.distance)} · ${formatDuration(trip.duration)} · avg ${formatSpeed(trip.avgSpeed)} · max ${formatSpeed(trip.maxSpeed)}</div>
+            </div>
+            <button type="button" class="trip-export-btn" onclick="event.stopPropagation(); exportTrip(${i})" title="Export trip">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                    <polyline points="7 10 12 15 17 10"></polyline>
+                    <line x1="12" y1="15" x2="12" y2="3"></line>
+                </svg>
+            </button>
+        </div>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="detail-section-title">Trips <span>${tripView.trips.length} · ${formatDistance(totalDistance)}</span></div>
+        ${rows}
+    `;
 }
 
-// Initialize swipe-to-delete gestures on device items
-function initDeviceSwipeGestures() {
-    const wrappers = document.querySelectorAll('.device-item-wrapper');
+function formatSpeed(metersPerSecond) {
+    return `${Math.round(metersPerSecond * 3.6)} km/h`;
+}
 
-    wrappers.forEach(wrapper => {
-        const deviceItem = wrapper.querySelector('.device-item');
-        const actionsPanel = wrapper.querySelector('.device-item-actions');
-        const deviceId = wrapper.getAttribute('data-device-id');
+// Small SVG outline of a trip, north up, scaled to fit
+function buildTripPreviewSvg(locations, color) {
+    const width = 64;
+    const height = 40;
+    const padding = 4;
+
+    const lngScale = Math.cos(toRadians(locations[0].lat));
+    const xs = locations.map(l => l.lng * lngScale);
+    const ys = locations.map(l => -l.lat);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const spanX = Math.max(...xs) - minX;
+    const spanY = Math.max(...ys) - minY;
+    const scale = Math.min((width - padding * 2) / (spanX || 1), (height - padding * 2) / (spanY || 1));
+    const offsetX = (width - spanX * scale) / 2;
+    const offsetY = (height - spanY * scale) / 2;
+
+    const points = xs.map((x, i) => [
+        (offsetX + (x - minX) * scale).toFixed(1),
+        (offsetY + (ys[i] - minY) * scale).toFixed(1)
+    ]);
+    const [startX, startY] = points[0];
+    const [endX, endY] = points[points.length - 1];
 
-        let startX = 0;
-        let startY = 0;
-        let startTime = 0;
-        let hasMoved = false;
-        let isGestureActive = false;
-        let isHorizontalSwipe = false;
-        let longPressTimer = null;
-        const swipeThreshold = 200; // Need to swipe 200px to reveal buttons
-        const tapThreshold = 10; // Movement less than this is considered a tap
-        const longPressDuration = 500; // 500ms for long press
+    return `
+        <svg class="trip-preview" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+            <polyline points="${points.map(p => p.join(',')).join(' ')}" fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round" stroke-linecap="round"></polyline>
+            <circle cx="${startX}" cy="${startY}" r="2.5" fill="#fff"></circle>
+            <circle cx="${endX}" cy="${endY}" r="2.5" fill="${color}" stroke="#fff" stroke-width="1"></circle>
+        </svg>
+    `;
+}
 
-        function onStart(e) {
-            // Don't start if clicking action buttons
-            if (e.target.closest('.device-item-actions')) {
-                isGestureActive = false;
-                return;
-            }
+// Highlight a trip on the map; selecting it again clears the highlight
+function selectTrip(index) {
+    const trip = tripView.trips[index];
+    const accessory = state.accessories.find(a => a.id === state.selectedDeviceId);
+    if (!trip || !accessory) return;
+
+    const wasSelected = tripView.selected === index;
+    clearTripHighlight();
+    if (wasSelected) return;
+
+    tripView.selected = index;
+    tripView.highlight = L.polyline(trip.locations.map(l => [l.lat, l.lng]), {
+        color: accessory.color,
+        weight: 7,
+        opacity: 1,
+        className: 'location-path',
+        interactive: false,
+        renderer: state.pathRenderer
+    }).addTo(state.map);
 
-            isGestureActive = true;
-            isHorizontalSwipe = false;
-            hasMoved = false;
-            const touch = e.type.includes('mouse') ? e : e.touches[0];
-            startX = touch.clientX;
-            startY = touch.clientY;
-            startTime = Date.now();
-            deviceItem.style.transition = 'none';
-            actionsPanel.style.transition = 'none';
+    state.pathPolylines.forEach(layer => layer.setStyle({ opacity: 0.3, fillOpacity: 0.3 }));
+    timeline.faded = true;
+    state.map.fitBounds(tripView.highlight.getBounds().pad(0.2));
 
-            // Start long press timer
-            longPressTimer = setTimeout(() => {
-                if (!hasMoved) {
-                    // Long press detected - open edit modal
-                    openAccessoryModal(deviceId);
-                    // Visual feedback - vibrate on mobile
-                    if (navigator.vibrate) {
-                        navigator.vibrate(50);
-                    }
-                }
-            }, longPressDuration);
-        }
+    document.querySelectorAll('.trip-item').forEach(item => {
+        item.classList.toggle('selected', parseInt(item.dataset.trip) === index);
+    });
+}
 
-        function onMove(e) {
-            // Only handle move if we started a gesture (not clicking action buttons)
-            if (!isGestureActive) return;
+function clearTripHighlight() {
+    if (tripView.highlight) {
+        state.map.removeLayer(tripView.highlight);
+        tripView.highlight = null;
+        // Restores the path styling for the current timeline position
+        updateTimelineCursor();
+    }
+    tripView.selected = null;
+    document.querySelectorAll('.trip-item.selected').forEach(item => item.classList.remove('selected'));
+}
 
-            const touch = e.type.includes('mouse') ? e : e.touches[0];
-            const currentX = touch.clientX;
-            const currentY = touch.clientY;
-            const diffX = currentX - startX;
-            const diffY = currentY - startY;
+function exportTrip(index) {
+    const trip = tripView.trips[index];
+    if (!trip) return;
+    // The trip's own (cleaned) points, not every report in its time span
+    openExportModal(state.selectedDeviceId, { from: trip.start, to: trip.end, locations: trip.locations });
+}
 
-            // Determine if this is a horizontal or vertical gesture
-            if (!isHorizontalSwipe && Math.abs(diffX) > Math.abs(diffY) && Math.abs(diffX) > tapThreshold) {
-                // This is a horizontal swipe - prevent vertical scrolling
-                isHorizontalSwipe = true;
-            }
+function clearTrips() {
+    if (tripView.highlight) {
+        state.map.removeLayer(tripView.highlight);
+    }
+    tripView.trips = [];
+    tripView.selected = null;
+    tripView.highlight = null;
+
+    const container = document.getElementById('tripList');
+    container.style.display = 'none';
+    container.innerHTML = '';
+}
+
+// ============================================
+// DATA OVERLAYS
+// ============================================
+
+// Accuracy circles and a density heatmap, toggled from the layer switcher.
+// While a device's path is shown they cover that path (its timeline window);
+// otherwise the latest fix of every device, and for the heatmap every report
+// in the fetch window.
+const dataOverlays = {
+    accuracy: null,
+    heatmap: null,
+    pathLocations: null
+};
+
+// Canvas heatmap: every report stamps a soft dot, and the summed intensity is
+// coloured from blue (seen once) to red (where the device usually sits)
+const HeatmapLayer = L.Layer.extend({
+    options: {
+        radius: 25,
+        pointAlpha: 0.15
+    },
+
+    initialize(options) {
+        L.setOptions(this, options);
+        this._points = [];
+    },
+
+    setPoints(points) {
+        this._points = points;
+        if (this._map) this._redraw();
+        return this;
+    },
+
+    onAdd(map) {
+        this._map = map;
+        this._canvas = L.DomUtil.create('canvas', 'heatmap-layer leaflet-zoom-hide');
+        map.getPanes().overlayPane.appendChild(this._canvas);
+        map.on('moveend zoomend resize', this._redraw, this);
+        this._redraw();
+    },
+
+    onRemove(map) {
+        L.DomUtil.remove(this._canvas);
+        map.off('moveend zoomend resize', this._redraw, this);
+        this._canvas = null;
+    },
+
+    _redraw() {
+        const map = this._map;
+        const canvas = this._canvas;
+        const size = map.getSize();
+        canvas.width = size.x;
+        canvas.height = size.y;
+        L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+
+        const ctx = canvas.getContext('2d');
+        const radius = this.options.radius;
+        const stamp = getHeatmapStamp(radius);
+        const bounds = map.getBounds().pad(0.1);
+
+        ctx.globalAlpha = this.options.pointAlpha;
+        this._points.forEach(point => {
+            if (!bounds.contains([point.lat, point.lng])) return;
+            const p = map.latLngToContainerPoint([point.lat, point.lng]);
+            ctx.drawImage(stamp, p.x - radius, p.y - radius);
+        });
+
+        if (this._points.length > 0) {
+            colorizeHeatmap(ctx, size.x, size.y);
+        }
+    }
+});
+
+// Blurred dot drawn once and reused for every report
+const heatmapStamps = {};
+function getHeatmapStamp(radius) {
+    if (!heatmapStamps[radius]) {
+        const stamp = document.createElement('canvas');
+        stamp.width = stamp.height = radius * 2;
+        const ctx = stamp.getContext('2d');
+        const gradient = ctx.createRadialGradient(radius, radius, 0, radius, radius, radius);
+        gradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, radius * 2, radius * 2);
+        heatmapStamps[radius] = stamp;
+    }
+    return heatmapStamps[radius];
+}
+
+// 256-entry colour ramp indexed by the accumulated alpha
+let heatmapPalette = null;
+function colorizeHeatmap(ctx, width, height) {
+    if (!heatmapPalette) {
+        const ramp = document.createElement('canvas');
+        ramp.width = 256;
+        ramp.height = 1;
+        const rampCtx = ramp.getContext('2d');
+        const gradient = rampCtx.createLinearGradient(0, 0, 256, 0);
+        gradient.addColorStop(0.2, '#3B82F6');
+        gradient.addColorStop(0.4, '#06B6D4');
+        gradient.addColorStop(0.6, '#84CC16');
+        gradient.addColorStop(0.8, '#FACC15');
+        gradient.addColorStop(1, '#EF4444');
+        rampCtx.fillStyle = gradient;
+        rampCtx.fillRect(0, 0, 256, 1);
+        heatmapPalette = rampCtx.getImageData(0, 0, 256, 1).data;
+    }
+
+    const image = ctx.getImageData(0, 0, width, height);
+    const pixels = image.data;
+    for (let i = 0; i < pixels.length; i += 4) {
+        const alpha = pixels[i + 3];
+        if (alpha === 0) continue;
+        pixels[i] = heatmapPalette[alpha * 4];
+        pixels[i + 1] = heatmapPalette[alpha * 4 + 1];
+        pixels[i + 2] = heatmapPalette[alpha * 4 + 2];
+        pixels[i + 3] = Math.min(255, alpha * 1.5);
+    }
+    ctx.putImageData(image, 0, 0);
+}
+
+// Overlay id -> { name, layer } for the layer switcher; created once and kept across tile rebuilds
+function getDataOverlays() {
+    if (!dataOverlays.accuracy) {
+        dataOverlays.accuracy = L.layerGroup();
+        dataOverlays.heatmap = new HeatmapLayer();
+    }
+    return {
+        accuracy: { name: 'Accuracy circles', layer: dataOverlays.accuracy },
+        heatmap: { name: 'Heatmap', layer: dataOverlays.heatmap }
+    };
+}
+
+function refreshDataOverlays() {
+    if (!dataOverlays.accuracy) return;
+
+    if (state.map.hasLayer(dataOverlays.accuracy)) {
+        renderAccuracyCircles();
+    }
+    if (state.map.hasLayer(dataOverlays.heatmap)) {
+        dataOverlays.heatmap.setPoints(getHeatmapLocations());
+    }
+}
+
+function renderAccuracyCircles() {
+    dataOverlays.accuracy.clearLayers();
+
+    let locations = dataOverlays.pathLocations;
+    if (!locations) {
+        // Latest fix of each device, clustered or not, as picked for its marker
+        locations = state.markers.map(marker => marker.latest);
+    }
+
+    locations.forEach(loc => {
+        if (!loc.accuracy) return;
+        const accessory = state.accessories.find(a => a.id === loc.accessoryId);
+        const color = accessory ? accessory.color : '#3B82F6';
+        dataOverlays.accuracy.addLayer(L.circle([loc.lat, loc.lng], {
+            radius: loc.accuracy,
+            color,
+            weight: 1,
+            opacity: 0.6,
+            fillColor: color,
+            fillOpacity: 0.1,
+            interactive: false,
+            renderer: state.pathRenderer
+        }));
+    });
+}
+
+function getHeatmapLocations() {
+    if (dataOverlays.pathLocations) return dataOverlays.pathLocations;
+
+    const since = Date.now() - state.settings.daysToFetch * 86400000;
+    return state.locations.filter(l => l.timestamp >= since);
+}
+
+// ============================================
+// SETTINGS
+// ============================================
+
+function loadSettings() {
+    const saved = localStorage.getItem('haystackSettings');
+    if (saved) {
+        try {
+            state.settings = { ...state.settings, ...JSON.parse(saved) };
+        } catch (e) {
+            console.error('Failed to load settings:', e);
+        }
+    }
+
+    document.getElementById('endpointUrl').value = state.settings.endpointUrl;
+    document.getElementById('endpointUser').value = state.settings.endpointUser;
+    document.getElementById('endpointPass').value = state.settings.endpointPass;
+    document.getElementById('daysToFetch').value = state.settings.daysToFetch;
+    document.getElementById('fetchOnStartup').checked = state.settings.fetchOnStartup;
+    document.getElementById('darkMode').checked = state.settings.darkMode;
+    document.getElementById('autoRefresh').checked = state.settings.autoRefresh;
+    document.getElementById('autoRefreshInterval').value = state.settings.autoRefreshInterval;
+    document.getElementById('fetchChunkSize').value = state.settings.fetchChunkSize;
+    document.getElementById('fetchConcurrency').value = state.settings.fetchConcurrency;
+    document.getElementById('historyRetentionDays').value = state.settings.historyRetentionDays;
+    document.getElementById('vaultEnabled').checked = state.settings.vaultEnabled;
+    document.getElementById('vaultAutoLockMinutes').value = state.settings.vaultAutoLockMinutes;
+    document.getElementById('selfHostedTileUrl').value = state.settings.selfHostedTileUrl;
+    document.getElementById('selfHostedTileMaxZoom').value = state.settings.selfHostedTileMaxZoom;
+    document.getElementById('tilesOfflineOnly').checked = state.settings.tilesOfflineOnly;
+    document.getElementById('stayRadius').value = state.settings.stayRadius;
+    document.getElementById('stayMinMinutes').value = state.settings.stayMinMinutes;
+    document.getElementById('navigationProvider').value = state.settings.navigationProvider;
+    document.getElementById('navigationMode').value = state.settings.navigationMode;
+    document.getElementById('navigationUrlTemplate').value = state.settings.navigationUrlTemplate;
+    document.getElementById('geocoderUrl').value = state.settings.geocoderUrl;
+    document.getElementById('geocoderDatasetUrl').value = state.settings.geocoderDatasetUrl;
+    document.getElementById('batteryReplaceDays').value = state.settings.batteryReplaceDays;
+    renderCustomLayersList();
+}
+
+function saveSettings() {
+    const geocoderUrl = document.getElementById('geocoderUrl').value.trim();
+    const geocoderDatasetUrl = document.getElementById('geocoderDatasetUrl').value.trim();
+    const refusedUrl = [geocoderUrl, geocoderDatasetUrl].find(url => url && !isAllowedGeocoderUrl(url));
+    if (refusedUrl) {
+        showToast(parseGeocoderUrl(refusedUrl)
+            ? 'Geocoding is limited to this site and your local network - use a self-hosted geocoder'
+            : `Invalid geocoder URL: ${refusedUrl}`, 'error');
+        return;
+    }
+
+    state.settings.endpointUrl = document.getElementById('endpointUrl').value.trim();
+    state.settings.endpointUser = document.getElementById('endpointUser').value.trim();
+    state.settings.endpointPass = document.getElementById('endpointPass').value.trim();
+    state.settings.daysToFetch = parseInt(document.getElementById('daysToFetch').value);
+    state.settings.fetchOnStartup = document.getElementById('fetchOnStartup').checked;
+    state.settings.darkMode = document.getElementById('darkMode').checked;
+    state.settings.autoRefresh = document.getElementById('autoRefresh').checked;
+    state.settings.autoRefreshInterval = parseInt(document.getElementById('autoRefreshInterval').value) || 60;
+    state.settings.fetchChunkSize = Math.max(1, parseInt(document.getElementById('fetchChunkSize').value) || 10);
+    state.settings.fetchConcurrency = Math.max(1, parseInt(document.getElementById('fetchConcurrency').value) || 3);
+    state.settings.historyRetentionDays = Math.max(1, parseInt(document.getElementById('historyRetentionDays').value) || 365);
+    state.settings.vaultAutoLockMinutes = Math.max(0, parseInt(document.getElementById('vaultAutoLockMinutes').value) || 0);
+    state.settings.stayRadius = Math.max(10, parseInt(document.getElementById('stayRadius').value) || 100);
+    state.settings.stayMinMinutes = Math.max(1, parseInt(document.getElementById('stayMinMinutes').value) || 20);
+    state.settings.navigationProvider = document.getElementById('navigationProvider').value;
+    state.settings.navigationMode = document.getElementById('navigationMode').value;
+    state.settings.navigationUrlTemplate = document.getElementById('navigationUrlTemplate').value.trim();
+
+    // Names from another geocoder or dataset may differ, so start the cache over
+    const previousGeocoder = [state.settings.geocoderUrl, state.settings.geocoderDatasetUrl].join('|');
+    state.settings.geocoderUrl = geocoderUrl;
+    state.settings.geocoderDatasetUrl = geocoderDatasetUrl;
+    state.settings.batteryReplaceDays = Math.max(1, parseInt(document.getElementById('batteryReplaceDays').value) || 30);
+    if ([state.settings.geocoderUrl, state.settings.geocoderDatasetUrl].join('|') !== previousGeocoder) {
+        resetGeocoder();
+    }
+
+    // Rebuild the map layers if the tile settings changed
+    const previousTileSettings = getTileSettingsKey();
+    const previousSelfHostedUrl = state.settings.selfHostedTileUrl;
+    state.settings.selfHostedTileUrl = document.getElementById('selfHostedTileUrl').value.trim();
+    state.settings.selfHostedTileMaxZoom = parseInt(document.getElementById('selfHostedTileMaxZoom').value) || 18;
+    state.settings.tilesOfflineOnly = document.getElementById('tilesOfflineOnly').checked;
+    if (state.settings.selfHostedTileUrl && state.settings.selfHostedTileUrl !== previousSelfHostedUrl) {
+        // A newly configured self-hosted server becomes the active base layer
+        state.settings.activeBaseLayer = 'self-hosted';
+    }
+    if (getTileSettingsKey() !== previousTileSettings) {
+        initMapLayers();
+    }
+
+    persistSettings();
+    persistVault();
+    resetVaultIdleTimer();
+
+    // Restart auto-refresh with new settings
+    stopAutoRefresh();
+    if (state.settings.autoRefresh) {
+        startAutoRefresh();
+    }
+
+    closeSettingsModal();
+    showToast('Settings saved', 'success');
+}
+
+// Write settings to localStorage; the endpoint password lives in the vault when it is on
+function persistSettings() {
+    const stored = { ...state.settings };
+    if (stored.vaultEnabled) {
+        stored.endpointPass = '';
+    }
+    localStorage.setItem('haystackSettings', JSON.stringify(stored));
+}
+
+function openSettingsModal() {
+    const modal = document.getElementById('settingsModal');
+    const nav = document.querySelector('.bottom-nav');
+    const settingsBtn = document.getElementById('settingsBtn');
+
+    // Update active state
+    document.querySelectorAll('.nav-btn').forEach(btn => btn.classList.remove('nav-btn-active'));
+    settingsBtn.classList.add('nav-btn-active');
+
+    // Close device detail if open
+    document.getElementById('deviceDetailPanel').classList.remove('active');
+    nav.classList.remove('detail-visible');
+    state.selectedDeviceId = null;
+    clearPathLines();
+
+    // Hide the devices panel
+    document.getElementById('bottomPanel').classList.add('hidden');
+    nav.classList.remove('panel-visible');
+
+    modal.classList.add('active');
+    nav.classList.add('settings-visible');
+}
+
+function closeSettingsModal() {
+    const modal = document.getElementById('settingsModal');
+    const nav = document.querySelector('.bottom-nav');
+    modal.classList.remove('active');
+    nav.classList.remove('settings-visible');
+
+    // Restore location button as active
+    document.querySelectorAll('.nav-btn').forEach(btn => btn.classList.remove('nav-btn-active'));
+    document.getElementById('locationBtn').classList.add('nav-btn-active');
+}
+
+function applyDarkMode() {
+    if (state.settings.darkMode) {
+        document.body.classList.add('dark-mode');
+    } else {
+        document.body.classList.remove('dark-mode');
+    }
+}
+
+// ============================================
+// KEY VAULT
+// ============================================
+
+// Optional passphrase protection for secrets at rest. Private keys and the
+// endpoint password are stored AES-GCM encrypted under a PBKDF2-derived key in
+// 'haystackVault'; the plain-text copies in localStorage are blanked.
+const VAULT_ITERATIONS = 310000;
+
+function isVaultLocked() {
+    return state.settings.vaultEnabled && state.vault.locked;
+}
+
+function hasWebCrypto() {
+    return !!(window.crypto && window.crypto.subtle);
+}
+
+async function deriveVaultKey(passphrase, salt, iterations = VAULT_ITERATIONS) {
+    const baseKey = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// Copy of an accessory without its keys, for plain-text storage
+function stripAccessorySecrets(accessory) {
+    return { ...accessory, privateKey: '', additionalKeys: [] };
+}
+
+function collectSecrets() {
+    const accessories = {};
+    state.accessories.forEach(a => {
+        accessories[a.id] = { privateKey: a.privateKey, additionalKeys: a.additionalKeys || [] };
+    });
+    return { accessories, endpointPass: state.settings.endpointPass };
+}
+
+function applySecrets(secrets) {
+    state.accessories.forEach(a => {
+        const stored = secrets.accessories[a.id];
+        if (stored) {
+            a.privateKey = stored.privateKey;
+            a.additionalKeys = stored.additionalKeys;
+        }
+    });
+    state.settings.endpointPass = secrets.endpointPass || '';
+    document.getElementById('endpointPass').value = state.settings.endpointPass;
+}
+
+// Encrypt the current secrets and write them to 'haystackVault'; throws on failure
+async function writeVault(key, salt) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(collectSecrets()));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+
+    localStorage.setItem('haystackVault', JSON.stringify({
+        version: 1,
+        iterations: VAULT_ITERATIONS,
+        salt: bytesToBase64(salt),
+        iv: bytesToBase64(iv),
+        data: bytesToBase64(new Uint8Array(ciphertext))
+    }));
+}
+
+/**
+ * Re-encrypt the current secrets into the vault (no-op unless enabled and unlocked)
+ * @returns {Promise<boolean>} false when the vault could not be written
+ */
+async function persistVault() {
+    if (!state.settings.vaultEnabled || !state.vault.key) return true;
+
+    try {
+        await writeVault(state.vault.key, state.vault.salt);
+        return true;
+    } catch (error) {
+        console.error('Failed to save vault:', error);
+        showToast('Failed to save encrypted keys', 'error');
+        return false;
+    }
+}
+
+// Turn the vault on and migrate the existing plain-text secrets into it. The
+// vault is written first; the plain-text copies are only blanked once it is
+// stored, and any failure puts everything back as it was.
+async function enableVault(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveVaultKey(passphrase, salt);
+    await writeVault(key, salt);
+
+    try {
+        state.vault.salt = salt;
+        state.vault.key = key;
+        state.vault.locked = false;
+        state.settings.vaultEnabled = true;
+
+        // The vault already holds the secrets, so the plain-text copies can go
+        persistSettings();
+        localStorage.setItem('haystackAccessories', JSON.stringify(state.accessories.map(stripAccessorySecrets)));
+        resetVaultIdleTimer();
+    } catch (error) {
+        disableVault();
+        throw error;
+    }
+}
+
+// Turn the vault off, writing the secrets back to plain-text storage
+function disableVault() {
+    state.settings.vaultEnabled = false;
+    state.vault.key = null;
+    state.vault.salt = null;
+    clearTimeout(state.vault.idleTimer);
+
+    localStorage.removeItem('haystackVault');
+    persistSettings();
+    saveAccessories();
+}
+
+async function unlockVault(passphrase) {
+    const blob = JSON.parse(localStorage.getItem('haystackVault') || 'null');
+    if (!blob) {
+        throw new Error('No vault found');
+    }
+
+    const salt = base64ToBytes(blob.salt);
+    const key = await deriveVaultKey(passphrase, salt, blob.iterations);
+
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(blob.iv) },
+            key,
+            base64ToBytes(blob.data)
+        );
+    } catch (e) {
+        throw new Error('Wrong passphrase');
+    }
+
+    applySecrets(JSON.parse(new TextDecoder().decode(plaintext)));
+    state.vault.key = key;
+    state.vault.salt = salt;
+    state.vault.locked = false;
+    resetVaultIdleTimer();
+}
+
+// Forget the derived key and all decrypted secrets
+function lockVault() {
+    if (!state.settings.vaultEnabled) return;
+
+    state.vault.key = null;
+    state.vault.locked = true;
+    clearTimeout(state.vault.idleTimer);
+
+    state.accessories = state.accessories.map(stripAccessorySecrets);
+    state.settings.endpointPass = '';
+    document.getElementById('endpointPass').value = '';
+    hashedKeyCache.clear();
+
+    closeAccessoryModal();
+    showLockScreen();
+}
+
+function resetVaultIdleTimer() {
+    if (!state.settings.vaultEnabled || state.vault.locked) return;
+
+    clearTimeout(state.vault.idleTimer);
+    const minutes = state.settings.vaultAutoLockMinutes;
+    if (minutes > 0) {
+        state.vault.idleTimer = setTimeout(() => {
+            console.log('Vault auto-locked after inactivity');
+            lockVault();
+        }, minutes * 60000);
+    }
+}
+
+function initVault() {
+    if (!state.settings.vaultEnabled) return;
+
+    if (!localStorage.getItem('haystackVault')) {
+        console.warn('[WARN] Vault enabled but no vault data found, turning it off');
+        state.settings.vaultEnabled = false;
+        persistSettings();
+        return;
+    }
+
+    state.vault.locked = true;
+    showLockScreen();
+}
+
+function showLockScreen() {
+    document.getElementById('unlockPassphrase').value = '';
+    document.getElementById('lockScreen').classList.add('active');
+    setTimeout(() => document.getElementById('unlockPassphrase').focus(), 100);
+}
+
+async function handleUnlock() {
+    const input = document.getElementById('unlockPassphrase');
+    const unlockBtn = document.getElementById('unlockBtn');
+    if (!input.value) return;
+
+    unlockBtn.disabled = true;
+    try {
+        await unlockVault(input.value);
+        input.value = '';
+        document.getElementById('lockScreen').classList.remove('active');
+        renderDevicesList();
+        fetchLocations(true);
+    } catch (error) {
+        showToast(error.message, 'error');
+        input.select();
+    } finally {
+        unlockBtn.disabled = false;
+    }
+}
+
+function handleVaultToggle(e) {
+    if (e.target.checked) {
+        if (!hasWebCrypto()) {
+            e.target.checked = false;
+            showToast('Encryption needs HTTPS or localhost', 'error');
+            return;
+        }
+        document.getElementById('vaultPassphrase').value = '';
+        document.getElementById('vaultPassphraseConfirm').value = '';
+        document.getElementById('vaultModal').classList.add('active');
+    } else if (confirm('Store keys and the endpoint password unencrypted again?')) {
+        disableVault();
+        showToast('Passphrase protection turned off', 'success');
+    } else {
+        e.target.checked = true;
+    }
+}
+
+function closeVaultModal() {
+    document.getElementById('vaultModal').classList.remove('active');
+    document.getElementById('vaultEnabled').checked = state.settings.vaultEnabled;
+}
+
+async function handleEnableVault() {
+    const passphrase = document.getElementById('vaultPassphrase').value;
+    const confirmation = document.getElementById('vaultPassphraseConfirm').value;
+
+    if (passphrase.length < 8) {
+        showToast('Use a passphrase of at least 8 characters', 'error');
+        return;
+    }
+    if (passphrase !== confirmation) {
+        showToast('Passphrases do not match', 'error');
+        return;
+    }
+
+    try {
+        await enableVault(passphrase);
+        closeVaultModal();
+        showToast('Keys are now encrypted', 'success');
+    } catch (error) {
+        console.error('Failed to enable vault:', error);
+        closeVaultModal();
+        showToast(`Failed to enable encryption: ${error.message}`, 'error');
+    }
+}
+
+// ============================================
+// AUTO-REFRESH
+// ============================================
+
+function startAutoRefresh() {
+    stopAutoRefresh(); // Clear any existing timer
+
+    if (!state.settings.autoRefresh) {
+        return;
+    }
+
+    const intervalMs = state.settings.autoRefreshInterval * 1000;
+    console.log(`Auto-refresh enabled: every ${state.settings.autoRefreshInterval}s`);
+
+    state.autoRefreshTimer = setInterval(async () => {
+        console.log('Auto-refreshing locations...');
+        try {
+            await fetchLocations(true); // true = isAutoRefresh
+        } catch (error) {
+            console.error('Auto-refresh error:', error);
+        }
+    }, intervalMs);
+}
+
+function stopAutoRefresh() {
+    if (state.autoRefreshTimer) {
+        clearInterval(state.autoRefreshTimer);
+        state.autoRefreshTimer = null;
+        console.log('Auto-refresh stopped');
+    }
+}
+
+async function resetAllSettings() {
+    if (confirm('This will clear all settings, devices and location history. Are you sure?')) {
+        localStorage.removeItem('haystackSettings');
+        localStorage.removeItem('haystackAccessories');
+        localStorage.removeItem('haystackSyncCursors');
+        localStorage.removeItem('haystackVault');
+        localStorage.removeItem('haystackGeofences');
+        localStorage.removeItem('haystackGeofenceStates');
+        localStorage.removeItem('haystackGeofenceEvents');
+        localStorage.removeItem('haystackAlerts');
+        localStorage.removeItem('haystackPlaceNames');
+        localStorage.removeItem('haystackPlaces');
+        localStorage.removeItem('haystackBatteryHistory');
+        try {
+            await clearLocationHistory();
+        } catch (e) {
+            console.warn('[WARN] Failed to clear location history:', e);
+        }
+        location.reload();
+    }
+}
+
+async function testEndpointConnection() {
+    const url = document.getElementById('endpointUrl').value.trim();
+    const testBtn = document.getElementById('testConnectionBtn');
+    const originalText = testBtn.textContent;
+
+    if (!url) {
+        showToast('Please enter an endpoint URL', 'error');
+        return;
+    }
+
+    testBtn.textContent = 'Testing...';
+    testBtn.disabled = true;
+
+    try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ids: [], days: 1 }),
+            signal: controller.signal
+        });
+
+        clearTimeout(timeoutId);
+
+        if (response.status === 404) {
+            showToast('Server reachable but endpoint not found', 'warning');
+        } else if (response.status === 401) {
+            showToast('Server reachable! Authentication required', 'success');
+        } else if (response.status === 200 || response.status === 400) {
+            showToast('Connection successful!', 'success');
+        } else {
+            showToast(`Server responded with status ${response.status}`, 'success');
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            showToast('Connection timed out', 'error');
+        } else {
+            showToast(`Error: ${error.message}`, 'error');
+        }
+    } finally {
+        testBtn.textContent = originalText;
+        testBtn.disabled = false;
+    }
+}
+
+// ============================================
+// ACCESSORY KEYS
+// ============================================
+
+// An accessory owns a key set: its primary privateKey plus any additionalKeys
+// (rotating-key firmware, Macless Haystack device.json exports)
+function getAccessoryKeys(accessory) {
+    const keys = [accessory.privateKey, ...(accessory.additionalKeys || [])]
+        .filter(key => key && key.trim());
+    return [...new Set(keys)];
+}
+
+// Split pasted keys on newlines, commas or whitespace
+function parseKeyList(text) {
+    return text.split(/[\s,]+/).map(key => key.trim()).filter(Boolean);
+}
+
+// Hashing is done for every key on every fetch, which adds up for rotating-key devices
+const hashedKeyCache = new Map();
+
+async function getCachedHashedKey(privateKeyBase64) {
+    if (!hashedKeyCache.has(privateKeyBase64)) {
+        hashedKeyCache.set(privateKeyBase64, await getHashedAdvertisementKey(privateKeyBase64));
+    }
+    return hashedKeyCache.get(privateKeyBase64);
+}
+
+/**
+ * Position of the key a report came from in an accessory's key list, or -1.
+ * Reports are tagged with the hashed key, so reordering or removing keys does
+ * not move their history; reports stored before that only have the position.
+ * @param {string[]} keys - The accessory's private keys
+ */
+function findReportKeyIndex(keys, loc) {
+    if (!loc.hashedKey) return loc.keyIndex ?? -1;
+    return keys.findIndex(key => hashedKeyCache.get(key) === loc.hashedKey);
+}
+
+// Show how many keys the accessory form currently holds
+function updateKeyCount() {
+    const primary = document.getElementById('accessoryKey').value.trim();
+    const additional = parseKeyList(document.getElementById('accessoryAdditionalKeys').value);
+    const count = new Set([primary, ...additional].filter(Boolean)).size;
+    document.getElementById('accessoryKeyCount').textContent =
+        count === 1 ? '1 key' : `${count} keys`;
+}
+
+// List the edited accessory's keys with how many stored reports came from each
+function renderKeyStats(accessory) {
+    const container = document.getElementById('accessoryKeyStats');
+    const keys = accessory ? getAccessoryKeys(accessory) : [];
+
+    if (keys.length < 2) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = keys.map((key, index) => `
+        <div class="key-stat" data-key-index="${index}">
+            <span class="key-stat-name">Key ${index + 1}</span>
+            <span class="key-stat-count"></span>
+        </div>
+    `).join('');
+
+    // Reports are matched to keys by hashed advertisement key, which also labels
+    // the key - never the private key material
+    const locations = getDeviceLocations(accessory.id);
+    keys.forEach((key, index) => {
+        getCachedHashedKey(key)
+            .catch(() => null)
+            .then(hashedKey => {
+                const row = container.querySelector(`[data-key-index="${index}"]`);
+                if (!row) return;
+                // Reports stored before they were tagged with the hashed key
+                const keyLocations = locations.filter(l => l.hashedKey
+                    ? l.hashedKey === hashedKey
+                    : (l.keyIndex || 0) === index);
+                const lastSeen = keyLocations.length > 0
+                    ? formatTimeAgo(keyLocations[keyLocations.length - 1].timestamp)
+                    : 'never';
+                row.querySelector('.key-stat-name').textContent =
+                    `Key ${index + 1} · ${hashedKey ? `${hashedKey.slice(0, 8)}…` : 'invalid'}`;
+                row.querySelector('.key-stat-count').textContent =
+                    `${keyLocations.length} report${keyLocations.length !== 1 ? 's' : ''} · ${lastSeen}`;
+            });
+    });
+}
+
+// ============================================
+// ACCESSORIES
+// ============================================
+
+function loadAccessories() {
+    const saved = localStorage.getItem('haystackAccessories');
+    if (saved) {
+        try {
+            state.accessories = JSON.parse(saved);
+        } catch (e) {
+            console.error('Failed to load accessories:', e);
+            state.accessories = [];
+        }
+    }
+    renderDevicesList();
+}
+
+function saveAccessories() {
+    renderDevicesList();
+    refreshDeviceDetail();
+
+    if (!state.settings.vaultEnabled) {
+        localStorage.setItem('haystackAccessories', JSON.stringify(state.accessories));
+        return Promise.resolve();
+    }
+
+    // With the vault on, keys are only stored encrypted. The stripped copy replaces
+    // the stored one only once the vault holds the keys, so a failed write keeps
+    // the previous devices and keys together.
+    return persistVault().then(saved => {
+        if (saved) {
+            localStorage.setItem('haystackAccessories', JSON.stringify(state.accessories.map(stripAccessorySecrets)));
+        }
+    });
+}
+
+function openAccessoryModal(accessoryId = null) {
+    state.currentAccessoryId = accessoryId;
+    state.selectedColor = '#3B82F6';
+
+    if (accessoryId) {
+        const accessory = state.accessories.find(a => a.id === accessoryId);
+        if (accessory) {
+            document.getElementById('accessoryModalTitle').textContent = 'Edit Accessory';
+            document.getElementById('accessoryName').value = accessory.name;
+            document.getElementById('accessoryId').value = accessory.deviceId;
+            document.getElementById('accessoryKey').value = accessory.privateKey;
+            document.getElementById('accessoryAdditionalKeys').value = (accessory.additionalKeys || []).join('\n');
+            state.selectedColor = accessory.color;
+            // Set icon input - if it's an old icon name, convert it to emoji
+            const iconEmoji = iconMap[accessory.icon] || accessory.icon || '🏷️';
+            document.getElementById('accessoryIcon').value = iconEmoji;
+            setAlertRuleFields(accessory.alerts);
+        }
+    } else {
+        document.getElementById('accessoryModalTitle').textContent = 'Add Accessory';
+        document.getElementById('accessoryName').value = '';
+        document.getElementById('accessoryId').value = '';
+        document.getElementById('accessoryKey').value = '';
+        document.getElementById('accessoryAdditionalKeys').value = '';
+        document.getElementById('accessoryIcon').value = '';
+        setAlertRuleFields(null);
+    }
+
+    selectColor(state.selectedColor);
+    updateKeyCount();
+    renderKeyMaterial();
+    renderKeyStats(accessoryId ? state.accessories.find(a => a.id === accessoryId) : null);
+    document.getElementById('accessoryModal').classList.add('active');
+}
+
+function setAlertRuleFields(rules) {
+    document.getElementById('alertBattery').value = rules?.battery || '';
+    document.getElementById('alertStaleHours').value = rules?.staleHours || '';
+    document.getElementById('alertMoveMeters').value = rules?.moveMeters || '';
+}
+
+function getAlertRuleFields() {
+    return {
+        battery: document.getElementById('alertBattery').value || null,
+        staleHours: parseFloat(document.getElementById('alertStaleHours').value) || null,
+        moveMeters: parseFloat(document.getElementById('alertMoveMeters').value) || null
+    };
+}
+
+function closeAccessoryModal() {
+    document.getElementById('accessoryModal').classList.remove('active');
+    state.currentAccessoryId = null;
+}
+
+function selectColor(color) {
+    state.selectedColor = color;
+
+    // Update color buttons
+    let found = false;
+    document.querySelectorAll('.color-btn').forEach(btn => {
+        const isSelected = btn.dataset.color === color;
+        btn.classList.toggle('selected', isSelected);
+        if (isSelected) found = true;
+    });
+
+    if (!found) {
+        document.querySelector('.color-btn')?.classList.add('selected');
+    }
+
+    // Update hex input and color slider
+    document.getElementById('accessoryColor').value = color.toUpperCase();
+    document.getElementById('colorSlider').value = color;
+}
+
+function saveAccessory() {
+    const name = document.getElementById('accessoryName').value.trim();
+    const deviceId = document.getElementById('accessoryId').value.trim();
+    const privateKey = document.getElementById('accessoryKey').value.trim();
+    const additionalKeys = parseKeyList(document.getElementById('accessoryAdditionalKeys').value)
+        .filter(key => key !== privateKey);
+    const iconEmoji = document.getElementById('accessoryIcon').value.trim() || '🏷️';
+    const colorHex = document.getElementById('accessoryColor').value.trim() || '#3B82F6';
+
+    if (!name || !deviceId || !privateKey) {
+        showToast('Please fill in all fields', 'error');
+        return;
+    }
+
+    const accessory = {
+        id: state.currentAccessoryId || Date.now().toString(),
+        name,
+        deviceId,
+        privateKey,
+        additionalKeys,
+        color: colorHex,
+        icon: iconEmoji,
+        alerts: getAlertRuleFields(),
+        active: true,
+        createdAt: new Date().toISOString()
+    };
+
+    // Editing keeps whether the device is enabled and when it was added
+    const existing = state.accessories.find(a => a.id === state.currentAccessoryId);
+    if (existing) {
+        accessory.active = existing.active !== false;
+        accessory.createdAt = existing.createdAt || accessory.createdAt;
+    }
+
+    if (hasAlertRules(accessory)) {
+        requestNotificationPermission();
+    }
+
+    if (state.currentAccessoryId) {
+        const index = state.accessories.findIndex(a => a.id === state.currentAccessoryId);
+        if (index !== -1) {
+            // New keys mean nothing has been synced for them yet
+            const previousKeys = getAccessoryKeys(state.accessories[index]).join(',');
+            if (previousKeys !== getAccessoryKeys(accessory).join(',')) {
+                resetSyncCursor(accessory.id);
+            }
+            state.accessories[index] = accessory;
+        }
+    } else {
+        state.accessories.push(accessory);
+    }
+
+    saveAccessories();
+    closeAccessoryModal();
+    showToast('Accessory saved', 'success');
+    fetchLocations(); // Auto-fetch after adding
+}
+
+function deleteAccessory(id) {
+    if (confirm('Are you sure you want to delete this accessory?')) {
+        state.accessories = state.accessories.filter(a => a.id !== id);
+        state.locations = state.locations.filter(l => l.accessoryId !== id);
+        deleteAccessoryHistory(id).catch(e => console.warn('[WARN] Failed to delete history:', e));
+        resetSyncCursor(id);
+        removeAccessoryFromZones(id);
+        removeAccessoryAlerts(id);
+        removeAccessoryBatteryHistory(id);
+        saveAccessories();
+        updateMapMarkers();
+        showToast('Accessory deleted', 'success');
+    }
+}
+
+function renderDevicesList() {
+    const devicesList = document.getElementById('devicesList');
+
+    if (state.accessories.length === 0) {
+        devicesList.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-icon">🎒</div>
+                <div class="empty-state-text">No devices yet</div>
+                <div class="empty-state-subtext">Tap + to add your first device</div>
+            </div>
+        `;
+        document.getElementById('devicesCount').textContent = '0';
+        return;
+    }
+
+    document.getElementById('devicesCount').textContent = state.accessories.length;
+
+    // Sort accessories by latest location timestamp (most recent first)
+    const sortedAccessories = [...state.accessories].sort((a, b) => {
+        const aLatest = state.locations
+            .filter(l => l.accessoryId === a.id)
+            .sort((x, y) => y.timestamp - x.timestamp)[0];
+        const bLatest = state.locations
+            .filter(l => l.accessoryId === b.id)
+            .sort((x, y) => y.timestamp - x.timestamp)[0];
+
+        const aTime = aLatest?.timestamp || 0;
+        const bTime = bLatest?.timestamp || 0;
+        return bTime - aTime;
+    });
+
+    const renderDeviceItem = accessory => {
+        const latestLoc = state.locations
+            .filter(l => l.accessoryId === accessory.id)
+            .sort((a, b) => b.timestamp - a.timestamp)[0];
+
+        const statusText = formatLocationStatus(latestLoc);
+        const batteryIcon = getBatteryIconHtml(latestLoc?.batteryStatus);
+        const healthDot = getHealthDotHtml(getDeviceHealth(accessory.id));
+        // Errors can carry the endpoint's response body, so keep them short
+        const rawError = state.fetchErrors[accessory.id];
+        const fetchError = rawError && rawError.length > 160 ? `${rawError.slice(0, 160)}…` : rawError;
+
+        return `
+            <div class="device-item-wrapper" data-device-id="${accessory.id}">
+                <div class="device-item" onclick="selectDevice('${accessory.id}')">
+                    <div class="device-item-icon" style="background: ${accessory.color}20; color: ${accessory.color}">
+                        ${getDisplayIcon(accessory)}
+                    </div>
+                    <div class="device-item-info">
+                        <div class="device-item-name">${healthDot}${accessory.name}${batteryIcon}${accessory.active ? '' : '<span class="device-item-badge">Disabled</span>'}</div>
+                        <div class="device-item-status">${escapeXml(statusText)}</div>
+                        <div class="device-item-distance" data-distance-to="${accessory.id}"></div>
+                        ${fetchError ? `<div class="device-item-error" title="${escapeXml(fetchError)}">Fetch failed: ${escapeXml(fetchError)}</div>` : ''}
+                    </div>
+                    <div class="device-item-arrow">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="9 18 15 12 9 6"></polyline>
+                        </svg>
+                    </div>
+                </div>
+                <div class="device-item-actions">
+                    <div class="device-item-navigate" onclick="navigateToDevice('${accessory.id}')">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polygon points="3 11 22 2 13 21 11 22 22 11 3"></polygon>
+                            <circle cx="12" cy="11" r="3"></circle>
+                        </svg>
+                        Navigate
+                    </div>
+                    <div class="device-item-history" onclick="showDeviceHistory('${accessory.id}')">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <circle cx="12" cy="12" r="10"></circle>
+                            <polyline points="12 6 12 12 16 14"></polyline>
+                        </svg>
+                        History
+                    </div>
+                    <div class="device-item-export" onclick="openExportModal('${accessory.id}')">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                            <polyline points="7 10 12 15 17 10"></polyline>
+                            <line x1="12" y1="15" x2="12" y2="3"></line>
+                        </svg>
+                        Export
+                    </div>
+                    <div class="device-item-delete" onclick="deleteAccessory('${accessory.id}')">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="3 6 5 6 21 6"></polyline>
+                            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                        </svg>
+                        Delete
+                    </div>
+                </div>
+            </div>
+        `;
+    };
+
+    devicesList.innerHTML = state.settings.groupDevicesByPlace
+        ? groupAccessoriesByPlace(sortedAccessories).map(group => `
+            <div class="device-group-header">${escapeXml(group.name)} <span>${group.accessories.length}</span></div>
+            ${group.accessories.map(renderDeviceItem).join('')}
+        `).join('')
+        : sortedAccessories.map(renderDeviceItem).join('');
+
+    updateDistanceLabels();
+
+    // Initialize swipe gestures for device items
+    initDeviceSwipeGestures();
+}
+
+// Initialize swipe-to-delete gestures on device items
+function initDeviceSwipeGestures() {
+    const wrappers = document.querySelectorAll('.device-item-wrapper');
+
+    wrappers.forEach(wrapper => {
+        const deviceItem = wrapper.querySelector('.device-item');
+        const actionsPanel = wrapper.querySelector('.device-item-actions');
+        const deviceId = wrapper.getAttribute('data-device-id');
+
+        let startX = 0;
+        let startY = 0;
+        let startTime = 0;
+        let hasMoved = false;
+        let isGestureActive = false;
+        let isHorizontalSwipe = false;
+        let longPressTimer = null;
+        const swipeThreshold = 200; // Need to swipe 200px to reveal buttons
+        const tapThreshold = 10; // Movement less than this is considered a tap
+        const longPressDuration = 500; // 500ms for long press
+
+        function onStart(e) {
+            // Don't start if clicking action buttons
+            if (e.target.closest('.device-item-actions')) {
+                isGestureActive = false;
+                return;
+            }
+
+            isGestureActive = true;
+            isHorizontalSwipe = false;
+            hasMoved = false;
+            const touch = e.type.includes('mouse') ? e : e.touches[0];
+            startX = touch.clientX;
+            startY = touch.clientY;
+            startTime = Date.now();
+            deviceItem.style.transition = 'none';
+            actionsPanel.style.transition = 'none';
+
+            // Start long press timer
+            longPressTimer = setTimeout(() => {
+                if (!hasMoved) {
+                    // Long press detected - open edit modal
+                    openAccessoryModal(deviceId);
+                    // Visual feedback - vibrate on mobile
+                    if (navigator.vibrate) {
+                        navigator.vibrate(50);
+                    }
+                }
+            }, longPressDuration);
+        }
+
+        function onMove(e) {
+            // Only handle move if we started a gesture (not clicking action buttons)
+            if (!isGestureActive) return;
+
+            const touch = e.type.includes('mouse') ? e : e.touches[0];
+            const currentX = touch.clientX;
+            const currentY = touch.clientY;
+            const diffX = currentX - startX;
+            const diffY = currentY - startY;
+
+            // Determine if this is a horizontal or vertical gesture
+            if (!isHorizontalSwipe && Math.abs(diffX) > Math.abs(diffY) && Math.abs(diffX) > tapThreshold) {
+                // This is a horizontal swipe - prevent vertical scrolling
+                isHorizontalSwipe = true;
+            }
 
             // If we've determined this is a horizontal swipe, prevent default scrolling
             if (isHorizontalSwipe) {
                 e.preventDefault();
             }
 
-            // Check if moved past tap threshold
-            if (Math.abs(diffX) > tapThreshold) {
-                hasMoved = true;
-                // Cancel long press if moved
-                if (longPressTimer) {
-                    clearTimeout(longPressTimer);
-                    longPressTimer = null;
-                }
-            }
+            // Check if moved past tap threshold
+            if (Math.abs(diffX) > tapThreshold) {
+                hasMoved = true;
+                // Cancel long press if moved
+                if (longPressTimer) {
+                    clearTimeout(longPressTimer);
+                    longPressTimer = null;
+                }
+            }
+
+            // Only track swipes to the left (negative diff) and past tap threshold
+            if (diffX < -tapThreshold) {
+                // Limit the swipe to 320px max
+                const limitedDiff = Math.max(diffX, -320);
+                deviceItem.style.transform = `translateX(${limitedDiff}px)`;
+                actionsPanel.style.right = `${-320 + Math.abs(limitedDiff)}px`;
+            }
+        }
+
+        function onEnd(e) {
+            // Cancel long press timer
+            if (longPressTimer) {
+                clearTimeout(longPressTimer);
+                longPressTimer = null;
+            }
+
+            // Reset gesture flags
+            isGestureActive = false;
+            isHorizontalSwipe = false;
+
+            // If it was just a tap (no significant movement), don't do anything - let the click handler work
+            if (!hasMoved) {
+                deviceItem.style.transform = '';
+                return;
+            }
+
+            const currentX = e.type.includes('mouse') ? e.clientX : e.changedTouches?.[0]?.clientX || startX;
+            const diff = currentX - startX;
+
+            // If swiped left far enough, reveal action buttons
+            if (diff < -swipeThreshold) {
+                wrapper.classList.add('delete-visible');
+            } else {
+                // Reset
+                deviceItem.style.transition = 'transform 0.3s ease';
+                actionsPanel.style.transition = 'right 0.3s ease';
+                deviceItem.style.transform = '';
+                actionsPanel.style.right = '';
+                wrapper.classList.remove('delete-visible');
+            }
+        }
+
+        // Touch events
+        wrapper.addEventListener('touchstart', onStart, { passive: true });
+        wrapper.addEventListener('touchmove', onMove, { passive: false });
+        wrapper.addEventListener('touchend', onEnd);
+        wrapper.addEventListener('touchcancel', onEnd);
+
+        // Mouse events (for desktop testing)
+        wrapper.addEventListener('mousedown', onStart);
+        wrapper.addEventListener('mousemove', onMove);
+        wrapper.addEventListener('mouseup', onEnd);
+
+        // Click handler - close action panel when clicking on device item, but allow action button clicks
+        wrapper.addEventListener('click', (e) => {
+            const actionButton = e.target.closest('.device-item-actions > div');
+            if (actionButton) {
+                // Let the action button's onclick handle it
+                return;
+            }
+            // If clicking on the device item and actions are visible, close them
+            if (e.target.closest('.device-item') && wrapper.classList.contains('delete-visible')) {
+                wrapper.classList.remove('delete-visible');
+                deviceItem.style.transition = 'transform 0.3s ease';
+                actionsPanel.style.transition = 'right 0.3s ease';
+                deviceItem.style.transform = '';
+                actionsPanel.style.right = '';
+                e.stopPropagation();
+            }
+        });
+    });
+}
+
+function deleteAccessory(id) {
+    if (confirm('Are you sure you want to delete this accessory?')) {
+        state.accessories = state.accessories.filter(a => a.id !== id);
+        state.locations = state.locations.filter(l => l.accessoryId !== id);
+        deleteAccessoryHistory(id).catch(e => console.warn('[WARN] Failed to delete history:', e));
+        resetSyncCursor(id);
+        removeAccessoryFromZones(id);
+        removeAccessoryAlerts(id);
+        removeAccessoryBatteryHistory(id);
+        saveAccessories();
+        updateMapMarkers();
+        showToast('Accessory deleted', 'success');
+    }
+}
+
+function showDeviceHistory(id) {
+    selectDevice(id);
+    showDevicePath();
+}
+
+// Apps that can take directions to a device. buildUrl gets the destination,
+// the travel mode and the device name.
+const navigationProviders = {
+    apple: {
+        name: 'Apple Maps',
+        buildUrl: (lat, lng, mode) => {
+            // dirflg only documents d, w and r (transit); for cycling leave it
+            // out so Maps uses the user's preferred transport type
+            const flags = { driving: 'd', walking: 'w' };
+            const url = `https://maps.apple.com/?daddr=${lat},${lng}`;
+            if (mode === 'cycling') return url;
+            return `${url}&dirflg=${flags[mode] || 'd'}`;
+        }
+    },
+    google: {
+        name: 'Google Maps',
+        buildUrl: (lat, lng, mode) => {
+            const modes = { driving: 'driving', walking: 'walking', cycling: 'bicycling' };
+            return `https://www.google.com/maps/dir/?api=1&destination=${lat},${lng}&travelmode=${modes[mode] || 'driving'}`;
+        }
+    },
+    osm: {
+        name: 'OpenStreetMap (OSRM)',
+        buildUrl: (lat, lng, mode) => {
+            const engines = { driving: 'car', walking: 'foot', cycling: 'bike' };
+            // Start from our own position when "locate me" has one; OSM asks for it otherwise
+            const from = myLocation.position ? `${myLocation.position.lat},${myLocation.position.lng}` : '';
+            return `https://www.openstreetmap.org/directions?engine=fossgis_osrm_${engines[mode] || 'car'}&route=${encodeURIComponent(`${from};${lat},${lng}`)}`;
+        }
+    },
+    geo: {
+        name: 'geo: URI (system maps app)',
+        // geo: has no travel mode; the receiving app picks one
+        buildUrl: (lat, lng, mode, name) => `geo:${lat},${lng}?q=${lat},${lng}(${encodeURIComponent(name)})`
+    },
+    custom: {
+        name: 'Custom URL',
+        buildUrl: (lat, lng, mode, name) => state.settings.navigationUrlTemplate
+            .replace(/\{lat\}/g, lat)
+            .replace(/\{lng\}/g, lng)
+            .replace(/\{mode\}/g, mode)
+            .replace(/\{name\}/g, encodeURIComponent(name))
+    }
+};
+
+function navigateToDevice(id) {
+    const latestLoc = state.locations
+        .filter(l => l.accessoryId === id)
+        .sort((a, b) => b.timestamp - a.timestamp)[0];
+
+    if (!latestLoc) {
+        showToast('No location data for this device', 'error');
+        return;
+    }
+
+    const provider = navigationProviders[state.settings.navigationProvider] || navigationProviders.apple;
+    if (provider === navigationProviders.custom && !state.settings.navigationUrlTemplate) {
+        showToast('Set a custom navigation URL in Settings', 'error');
+        return;
+    }
+
+    const accessory = state.accessories.find(a => a.id === id);
+    const url = provider.buildUrl(latestLoc.lat.toFixed(6), latestLoc.lng.toFixed(6), state.settings.navigationMode, accessory?.name || '');
+
+    // geo: URIs are handed to the OS instead of a new tab
+    if (url.startsWith('geo:')) {
+        window.location.href = url;
+    } else {
+        window.open(url, '_blank');
+    }
+}
+
+// Copy a device's latest position to the clipboard as 'decimal', 'dms' or 'pluscode'
+async function copyCoordinates(id, format) {
+    const latestLoc = state.locations.filter(l => l.accessoryId === id).pop();
+    if (!latestLoc) {
+        showToast('No location data for this device', 'error');
+        return;
+    }
+
+    const formats = {
+        decimal: { label: 'Coordinates', value: `${latestLoc.lat.toFixed(6)}, ${latestLoc.lng.toFixed(6)}` },
+        dms: { label: 'Coordinates', value: formatDms(latestLoc.lat, latestLoc.lng) },
+        pluscode: { label: 'Plus code', value: encodePlusCode(latestLoc.lat, latestLoc.lng) }
+    };
+    const { label, value } = formats[format] || formats.decimal;
+
+    try {
+        await navigator.clipboard.writeText(value);
+        showToast(`${label} copied: ${value}`, 'success');
+    } catch (error) {
+        showToast('Could not copy to clipboard', 'error');
+    }
+}
+
+// ============================================
+// LOCATION HISTORY (IndexedDB)
+// ============================================
+
+// Every decoded report is kept per accessory in IndexedDB, so history survives
+// reloads and outlives the endpoint's fetch window. state.locations mirrors it.
+const HISTORY_DB_NAME = 'haystackHistory';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'locations';
+
+let historyDbPromise = null;
+
+function openHistoryDb() {
+    if (historyDbPromise) return historyDbPromise;
+
+    historyDbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB not available'));
+            return;
+        }
+
+        const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+                const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'key' });
+                store.createIndex('accessoryId', 'accessoryId', { unique: false });
+                store.createIndex('timestamp', 'timestamp', { unique: false });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    return historyDbPromise;
+}
+
+// Wrap an IndexedDB transaction in a promise that settles when it completes
+function historyTransaction(mode, callback) {
+    return openHistoryDb().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(HISTORY_STORE, mode);
+        const result = callback(tx.objectStore(HISTORY_STORE));
+        tx.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    }));
+}
+
+// The same report is returned by every fetch that covers it; this identifies it
+function locationKey(loc) {
+    return `${loc.accessoryId}|${loc.timestamp}|${loc.lat.toFixed(6)}|${loc.lng.toFixed(6)}`;
+}
+
+// Merge new locations into an existing list, dropping duplicates, sorted oldest first
+function mergeLocations(existing, incoming) {
+    const byKey = new Map();
+    existing.forEach(loc => byKey.set(loc.key || locationKey(loc), loc));
+    incoming.forEach(loc => {
+        const key = loc.key || locationKey(loc);
+        byKey.set(key, { ...loc, key });
+    });
+    return [...byKey.values()].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Each device's reports, oldest first, rebuilt only when state.locations is replaced
+const deviceLocationsCache = {
+    source: null,
+    byAccessory: new Map()
+};
+
+function getDeviceLocations(accessoryId) {
+    if (deviceLocationsCache.source !== state.locations) {
+        const byAccessory = new Map();
+        state.locations.forEach(loc => {
+            if (!byAccessory.has(loc.accessoryId)) byAccessory.set(loc.accessoryId, []);
+            byAccessory.get(loc.accessoryId).push(loc);
+        });
+        byAccessory.forEach(list => list.sort((a, b) => a.timestamp - b.timestamp));
+        deviceLocationsCache.source = state.locations;
+        deviceLocationsCache.byAccessory = byAccessory;
+    }
+    return deviceLocationsCache.byAccessory.get(accessoryId) || [];
+}
+
+async function loadLocationHistory() {
+    return historyTransaction('readonly', store => store.getAll());
+}
+
+async function saveLocationsToHistory(locations) {
+    if (locations.length === 0) return;
+    await historyTransaction('readwrite', store => {
+        locations.forEach(loc => store.put({ ...loc, key: loc.key || locationKey(loc) }));
+    });
+}
+
+async function deleteAccessoryHistory(accessoryId) {
+    await historyTransaction('readwrite', store => {
+        const request = store.index('accessoryId').openKeyCursor(IDBKeyRange.only(accessoryId));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+    });
+}
+
+async function pruneLocationHistory(retentionDays) {
+    const cutoff = Date.now() - retentionDays * 86400000;
+    await historyTransaction('readwrite', store => {
+        const request = store.index('timestamp').openKeyCursor(IDBKeyRange.upperBound(cutoff, true));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+    });
+}
+
+async function clearLocationHistory() {
+    await historyTransaction('readwrite', store => store.clear());
+}
+
+// Load stored history into state and draw it (used at startup)
+async function restoreLocationHistory() {
+    try {
+        await pruneLocationHistory(state.settings.historyRetentionDays);
+        const stored = await loadLocationHistory();
+        const knownIds = new Set(state.accessories.map(a => a.id));
+        state.locations = mergeLocations([], stored.filter(l => knownIds.has(l.accessoryId)));
+        console.log(`Restored ${state.locations.length} location(s) from history`);
+    } catch (error) {
+        console.warn('[WARN] Location history unavailable:', error);
+        return;
+    }
+
+    recordBatteryLevels(state.locations);
+    updateMapMarkers();
+    renderDevicesList();
+    evaluateAlertRules();
+
+    if (state.markers.length > 0) {
+        const group = new L.featureGroup(state.markers);
+        state.map.fitBounds(group.getBounds().pad(0.1));
+    }
+}
+
+// ============================================
+// SYNC CURSORS
+// ============================================
+
+// Per-accessory record of what has already been fetched, so refreshes only ask
+// the endpoint for the gap since the newest known report:
+// { accessoryId: { newestReport, newestPublished, lastSync } } (all ms timestamps)
+function loadSyncCursors() {
+    const saved = localStorage.getItem('haystackSyncCursors');
+    if (saved) {
+        try {
+            state.syncCursors = JSON.parse(saved);
+        } catch (e) {
+            console.error('Failed to load sync cursors:', e);
+            state.syncCursors = {};
+        }
+    }
+}
+
+function saveSyncCursors() {
+    localStorage.setItem('haystackSyncCursors', JSON.stringify(state.syncCursors));
+}
+
+function resetSyncCursor(accessoryId) {
+    delete state.syncCursors[accessoryId];
+    saveSyncCursors();
+}
+
+// Days to request for an accessory: the gap since its newest report (at least one
+// day, to catch reports published late), or the full window if it was never synced
+function getFetchDaysForAccessory(accessory, maxDays) {
+    const cursor = state.syncCursors[accessory.id];
+    if (!cursor || !cursor.newestReport) {
+        return maxDays;
+    }
+
+    const gapDays = Math.ceil((Date.now() - cursor.newestReport) / 86400000);
+    return Math.max(1, Math.min(maxDays, gapDays));
+}
+
+// Record a successful sync for an accessory
+function advanceSyncCursor(accessoryId, newestReport, newestPublished) {
+    const cursor = state.syncCursors[accessoryId] || {};
+    state.syncCursors[accessoryId] = {
+        newestReport: Math.max(cursor.newestReport || 0, newestReport || 0) || null,
+        newestPublished: Math.max(cursor.newestPublished || 0, newestPublished || 0) || null,
+        lastSync: Date.now()
+    };
+}
+
+// ============================================
+// LOCATION FETCHING
+// ============================================
+
+async function fetchLocations(isAutoRefresh = false) {
+    const days = state.settings.daysToFetch;
+    const activeAccessories = state.accessories.filter(a => a.active);
+
+    if (activeAccessories.length === 0) {
+        if (!isAutoRefresh) {
+            showToast('No active devices to fetch', 'warning');
+        }
+        return;
+    }
+
+    // Keys are not available until the vault is unlocked
+    if (isVaultLocked()) {
+        if (!isAutoRefresh) {
+            showToast('Unlock to fetch locations', 'warning');
+        }
+        return;
+    }
+
+    // Auto-refresh can tick while a slow fetch is still running
+    if (state.fetchInProgress) {
+        console.log('Fetch already in progress, skipping');
+        return;
+    }
+    state.fetchInProgress = true;
+    startDiagnosticsRun(isAutoRefresh);
+
+    try {
+        const allLocations = [];
+        const decryptJobs = [];
+        const previousLocations = state.locations;
+
+        // Show results as they stream in, merged into the stored history
+        let renderTimer = null;
+        const scheduleProgressiveRender = () => {
+            if (renderTimer) return;
+            renderTimer = setTimeout(() => {
+                renderTimer = null;
+                state.locations = mergeLocations(previousLocations, allLocations);
+                updateMapMarkers();
+            }, 250);
+        };
+
+        const keyEntries = [];
+        const keyErrors = {};
+        for (const accessory of activeAccessories) {
+            const fetchDays = getFetchDaysForAccessory(accessory, days);
+            const keys = getAccessoryKeys(accessory);
+            for (let keyIndex = 0; keyIndex < keys.length; keyIndex++) {
+                try {
+                    const hashedKey = await getCachedHashedKey(keys[keyIndex]);
+                    keyEntries.push({ hashedKey, accessory, privateKey: keys[keyIndex], keyIndex, days: fetchDays });
+                } catch (keyError) {
+                    console.error(`Invalid key ${keyIndex + 1} for ${accessory.name}:`, keyError);
+                    recordKeyFetch({ accessory, keyIndex, hashedKey: null }, { error: `Invalid private key: ${keyError.message}` });
+                    keyErrors[accessory.id] = keys.length > 1 ? `Invalid private key #${keyIndex + 1}` : 'Invalid private key';
+                }
+            }
+        }
+
+        // Newest report/publish time decrypted per accessory in this run, for the sync
+        // cursors, and the oldest publish time that failed so it is fetched again
+        const newestReport = {};
+        const newestPublished = {};
+        const oldestFailedPublished = {};
+
+        // Queue decryption as each chunk returns, while the other requests are still running
+        const chunkErrors = await fetchReportsInChunks(keyEntries, (entry, reports) => {
+            const accessory = entry.accessory;
+
+            // Reports published before the last sync were already decrypted and stored
+            const cursor = state.syncCursors[accessory.id];
+            const freshReports = cursor?.newestPublished
+                ? reports.filter(r => !r.datePublished || r.datePublished >= cursor.newestPublished)
+                : reports;
+            recordKeyFetch(entry, { fresh: freshReports.length });
+
+            for (const report of freshReports) {
+                const job = decryptReportInPool(report, entry.privateKey)
+                    .then(decrypted => {
+                        const timestamp = decrypted.timestamp.getTime();
+                        newestReport[accessory.id] = Math.max(newestReport[accessory.id] || 0, timestamp);
+                        if (report.datePublished) {
+                            newestPublished[accessory.id] = Math.max(newestPublished[accessory.id] || 0, report.datePublished);
+                        }
+                        recordDecryptResult(entry);
+                        allLocations.push({
+                            accessoryId: accessory.id,
+                            accessoryName: accessory.name,
+                            lat: decrypted.latitude,
+                            lng: decrypted.longitude,
+                            timestamp,
+                            datePublished: decrypted.datePublished || null,
+                            accuracy: decrypted.accuracy,
+                            confidence: decrypted.confidence,
+                            batteryStatus: decrypted.batteryStatus,
+                            hashedKey: entry.hashedKey
+                        });
+                        scheduleProgressiveRender();
+                    })
+                    .catch(decryptError => {
+                        console.error(`Failed to decrypt report for ${accessory.name}:`, decryptError);
+                        recordDecryptResult(entry, report, decryptError);
+                        if (report.datePublished) {
+                            oldestFailedPublished[accessory.id] = Math.min(oldestFailedPublished[accessory.id] || Infinity, report.datePublished);
+                        }
+                    });
+                decryptJobs.push(job);
+            }
+        });
+        const fetchErrors = { ...keyErrors, ...chunkErrors };
+        state.fetchErrors = fetchErrors;
+
+        await Promise.all(decryptJobs);
+        clearTimeout(renderTimer);
+
+        allLocations.sort((a, b) => a.timestamp - b.timestamp);
+
+        state.locations = mergeLocations(previousLocations, allLocations);
+        state.lastFetchTime = Date.now();
+        evaluateGeofences(allLocations);
+        evaluateAlertRules();
+        recordBatteryLevels(allLocations);
+
+        try {
+            await saveLocationsToHistory(allLocations);
+
+            // Only advance cursors once the reports are safely stored, and never past a
+            // report that failed to decrypt
+            keyEntries
+                .filter(entry => !chunkErrors[entry.accessory.id])
+                .forEach(entry => {
+                    const id = entry.accessory.id;
+                    const published = oldestFailedPublished[id]
+                        ? Math.min(newestPublished[id] || 0, oldestFailedPublished[id])
+                        : newestPublished[id];
+                    advanceSyncCursor(id, newestReport[id], published);
+                });
+            saveSyncCursors();
+        } catch (historyError) {
+            console.warn('[WARN] Failed to save location history:', historyError);
+        }
+
+        updateMapMarkers();
+        renderDevicesList();
+        refreshDeviceDetail();
+
+        // Only show toast for manual refresh, not auto-refresh
+        const failedCount = Object.keys(fetchErrors).length;
+        const undecrypted = diagnostics.currentRun ? countRunFailures(diagnostics.currentRun) : 0;
+        if (!isAutoRefresh && failedCount > 0) {
+            showToast(`Fetched ${allLocations.length} new location(s), ${failedCount} device(s) failed`, 'warning');
+        } else if (!isAutoRefresh && undecrypted > 0) {
+            showToast(`Fetched ${allLocations.length} new location(s), ${undecrypted} report(s) failed to decrypt - see Diagnostics`, 'warning');
+        } else if (!isAutoRefresh) {
+            showToast(`Fetched ${allLocations.length} new location(s)`, 'success');
+        } else {
+            console.log(`Auto-refresh: ${allLocations.length} new location(s)`);
+        }
+
+        // Leave the map where it is while a device is open
+        if (allLocations.length > 0 && !state.selectedDeviceId) {
+            const group = new L.featureGroup(state.markers);
+            state.map.fitBounds(group.getBounds().pad(0.1));
+        }
+    } catch (error) {
+        console.error('Error fetching locations:', error);
+        if (diagnostics.currentRun) {
+            diagnostics.currentRun.error = error.message;
+            diagnostics.currentRun.errorStatus = error.status || null;
+        }
+        if (!isAutoRefresh) {
+            showToast(`Failed to fetch: ${error.message}`, 'error');
+        }
+    } finally {
+        finishDiagnosticsRun();
+        state.fetchInProgress = false;
+    }
+}
+
+function updateMapMarkers() {
+    state.markers = [];
+
+    const locationsByAccessory = {};
+    state.locations.forEach(loc => {
+        if (!locationsByAccessory[loc.accessoryId]) {
+            locationsByAccessory[loc.accessoryId] = [];
+        }
+        locationsByAccessory[loc.accessoryId].push(loc);
+    });
+
+    Object.entries(locationsByAccessory).forEach(([accessoryId, locations]) => {
+        const accessory = state.accessories.find(a => a.id === accessoryId);
+        if (!accessory) return;
+
+        const latest = locations[locations.length - 1];
+        const keys = getAccessoryKeys(accessory);
+        const keyIndex = findReportKeyIndex(keys, latest);
+
+        const icon = L.divIcon({
+            className: 'custom-marker',
+            html: `<div style="background: ${accessory.color}; width: 36px; height: 36px; border-radius: 50%; display: flex; align-items: center; justify-content: center; border: 3px solid white; box-shadow: 0 2px 8px rgba(0,0,0,0.3); font-size: 18px;">${getDisplayIcon(accessory)}</div>`,
+            iconSize: [36, 36],
+            iconAnchor: [18, 18]
+        });
+
+        const popupContent = `
+            <div class="custom-popup">
+                <div class="custom-popup-icon">${getDisplayIcon(accessory)}</div>
+                <div class="custom-popup-name">${accessory.name}</div>
+                <div class="custom-popup-time">${new Date(latest.timestamp).toLocaleString()}</div>
+                <div style="font-size: 12px; margin-top: 4px;">Accuracy: ±${latest.accuracy}m</div>
+                ${latest.batteryStatus ? `<div style="font-size: 12px;">Battery: ${latest.batteryStatus}</div>` : ''}
+                ${keys.length > 1 && keyIndex >= 0 ? `<div style="font-size: 12px;">Key ${keyIndex + 1} of ${keys.length}</div>` : ''}
+            </div>
+        `;
+
+        const marker = L.marker([latest.lat, latest.lng], { icon })
+            .on('click', () => {
+                selectDevice(accessoryId);
+                showDevicePath();
+            });
+
+        // Store device ID on marker for filtering
+        marker.deviceId = accessoryId;
+        marker.getDeviceId = () => accessoryId;
+        marker.latest = latest;
+
+        state.markers.push(marker);
+    });
+
+    renderMarkerClusters();
+    refreshDataOverlays();
+}
+
+// ============================================
+// MARKER CLUSTERS
+// ============================================
+
+// Device markers closer than this on screen are shown as one cluster with a count
+const MARKER_CLUSTER_RADIUS = 60; // px
+
+const markerClusters = {
+    layer: null,            // holds whatever is currently shown: markers and cluster icons
+    focusedDeviceId: null   // while a device's path is shown, only its marker is shown
+};
+
+function initMarkerClusters() {
+    markerClusters.layer = L.layerGroup().addTo(state.map);
+    state.map.on('zoomend', renderMarkerClusters);
+}
+
+function setMarkerFocus(accessoryId) {
+    markerClusters.focusedDeviceId = accessoryId;
+    renderMarkerClusters();
+}
+
+// Group the device markers by screen distance at the current zoom
+function renderMarkerClusters() {
+    markerClusters.layer.clearLayers();
+
+    if (markerClusters.focusedDeviceId) {
+        const marker = state.markers.find(m => m.getDeviceId() === markerClusters.focusedDeviceId);
+        if (marker) markerClusters.layer.addLayer(marker);
+        return;
+    }
+
+    const zoom = state.map.getZoom();
+    const clusters = [];
+    state.markers.forEach(marker => {
+        const point = state.map.project(marker.getLatLng(), zoom);
+        const cluster = clusters.find(c => c.point.distanceTo(point) <= MARKER_CLUSTER_RADIUS);
+        if (cluster) {
+            cluster.markers.push(marker);
+        } else {
+            clusters.push({ point, markers: [marker] });
+        }
+    });
+
+    clusters.forEach(cluster => {
+        markerClusters.layer.addLayer(cluster.markers.length === 1
+            ? cluster.markers[0]
+            : createClusterMarker(cluster.markers));
+    });
+}
+
+function createClusterMarker(markers) {
+    const bounds = L.latLngBounds(markers.map(m => m.getLatLng()));
+    const colors = markers.slice(0, 4).map(m => state.accessories.find(a => a.id === m.getDeviceId())?.color || '#3B82F6');
+    const count = markers.length;
+
+    const icon = L.divIcon({
+        className: 'custom-marker',
+        html: `
+            <div class="marker-cluster" style="background: conic-gradient(${colors.map((c, i) => `${c} ${i / colors.length * 100}% ${(i + 1) / colors.length * 100}%`).join(', ')});">
+                <span>${count}</span>
+            </div>
+        `,
+        iconSize: [42, 42],
+        iconAnchor: [21, 21]
+    });
+
+    return L.marker(bounds.getCenter(), { icon }).on('click', (e) => {
+        // Zoom in until the cluster splits; devices at the same spot are listed instead
+        if (state.map.getBoundsZoom(bounds) > state.map.getZoom()) {
+            state.map.fitBounds(bounds, { padding: [60, 60] });
+            return;
+        }
+
+        const rows = markers.map(m => {
+            const accessory = state.accessories.find(a => a.id === m.getDeviceId());
+            if (!accessory) return '';
+            return `<div class="cluster-popup-item" onclick="showDeviceHistory('${accessory.id}')">${getDisplayIcon(accessory)} ${escapeXml(accessory.name)}</div>`;
+        }).join('');
+        L.popup().setLatLng(e.latlng).setContent(`<div class="cluster-popup">${rows}</div>`).openOn(state.map);
+    });
+}
+
+// ============================================
+// KEY GENERATION & FIRMWARE EXPORT
+// ============================================
+
+// Create a new secp224r1 key pair locally and derive the keys the firmware and backend use
+async function generateKeyPair() {
+    if (!window.secp224r1) {
+        throw new Error('secp224r1 curve not loaded');
+    }
+
+    // Same rule as the OpenHaystack generate_keys.py script: the hashed key is used
+    // in file names, so skip keys whose base64 contains a '/'
+    for (;;) {
+        const privateKeyBytes = window.secp224r1.utils.randomPrivateKey();
+        const privateKey = bytesToBase64(privateKeyBytes);
+        const hashedKey = await getHashedAdvertisementKey(privateKey);
+        if (hashedKey.includes('/')) continue;
+
+        const advertisementKey = bytesToBase64(await getAdvertisementKey(privateKey));
+        return { privateKey, advertisementKey, hashedKey };
+    }
+}
+
+// Public key material for a list of private keys
+async function buildKeyMaterial(privateKeys) {
+    const material = [];
+    for (const privateKey of privateKeys) {
+        material.push({
+            privateKey,
+            advertisementKey: bytesToBase64(await getAdvertisementKey(privateKey)),
+            hashedKey: await getHashedAdvertisementKey(privateKey)
+        });
+    }
+    return material;
+}
+
+// Keys currently entered in the accessory form, primary first
+function getFormKeys() {
+    const primary = document.getElementById('accessoryKey').value.trim();
+    const additional = parseKeyList(document.getElementById('accessoryAdditionalKeys').value);
+    return [...new Set([primary, ...additional].filter(Boolean))];
+}
+
+async function handleGenerateKeys() {
+    const countInput = document.getElementById('generateKeyCount');
+    const count = Math.max(1, Math.min(500, parseInt(countInput.value) || 1));
+    countInput.value = count;
+
+    const existing = getFormKeys();
+    if (existing.length > 0 && !confirm('Replace the keys in this form with newly generated ones?')) {
+        return;
+    }
+
+    try {
+        const generated = [];
+        for (let i = 0; i < count; i++) {
+            generated.push(await generateKeyPair());
+        }
+
+        document.getElementById('accessoryKey').value = generated[0].privateKey;
+        document.getElementById('accessoryAdditionalKeys').value = generated.slice(1).map(k => k.privateKey).join('\n');
+
+        // A fresh tag also needs an ID; use the first bytes of the hashed key
+        const idInput = document.getElementById('accessoryId');
+        if (!idInput.value.trim()) {
+            idInput.value = bytesToHex(base64ToBytes(generated[0].hashedKey).slice(0, 6)).toUpperCase();
+        }
+
+        updateKeyCount();
+        await renderKeyMaterial();
+        showToast(`Generated ${count} key pair${count > 1 ? 's' : ''}`, 'success');
+    } catch (error) {
+        console.error('Key generation error:', error);
+        showToast(`Key generation failed: ${error.message}`, 'error');
+    }
+}
+
+// Show the advertisement and hashed keys for the keys in the form
+async function renderKeyMaterial() {
+    const group = document.getElementById('keyExportGroup');
+    const list = document.getElementById('keyMaterialList');
+    const keys = getFormKeys();
+
+    if (keys.length === 0) {
+        group.style.display = 'none';
+        return;
+    }
+
+    let material;
+    try {
+        material = await buildKeyMaterial(keys);
+    } catch (error) {
+        group.style.display = 'none';
+        return;
+    }
+
+    const shown = material.slice(0, 5);
+    list.innerHTML = shown.map((k, index) => `
+        <div class="key-material-item">
+            <div class="key-material-title">Key ${index + 1}</div>
+            <div class="key-material-row"><span>Advertisement</span><code>${k.advertisementKey}</code></div>
+            <div class="key-material-row"><span>Hashed</span><code>${k.hashedKey}</code></div>
+        </div>
+    `).join('') + (material.length > shown.length
+        ? `<div class="key-material-more">+ ${material.length - shown.length} more in the exported files</div>`
+        : '');
+    group.style.display = '';
+}
+
+function getKeyFilePrefix() {
+    const name = document.getElementById('accessoryName').value.trim() || 'haystack';
+    return name.replace(/[^A-Za-z0-9_-]+/g, '_');
+}
+
+// Binary keyfile for the ESP32/nRF5x flashing scripts: one byte with the key
+// count followed by the 28-byte advertisement keys
+async function exportFirmwareKeyfile() {
+    try {
+        const material = await buildKeyMaterial(getFormKeys());
+        if (material.length === 0) return;
+        if (material.length > 255) {
+            showToast('A keyfile can hold at most 255 keys', 'error');
+            return;
+        }
+
+        const bytes = new Uint8Array(1 + material.length * 28);
+        bytes[0] = material.length;
+        material.forEach((k, index) => bytes.set(base64ToBytes(k.advertisementKey), 1 + index * 28));
+
+        downloadFile(`${getKeyFilePrefix()}_keyfile`, bytes, 'application/octet-stream');
+    } catch (error) {
+        console.error('Keyfile export error:', error);
+        showToast(`Keyfile export failed: ${error.message}`, 'error');
+    }
+}
+
+// Text listing in the format written by generate_keys.py
+async function exportKeysText() {
+    try {
+        const material = await buildKeyMaterial(getFormKeys());
+        if (material.length === 0) return;
+
+        const text = material.map(k =>
+            `Private key: ${k.privateKey}\nAdvertisement key: ${k.advertisementKey}\nHashed adv key: ${k.hashedKey}\n`
+        ).join('\n');
+
+        downloadFile(`${getKeyFilePrefix()}.keys`, text, 'text/plain');
+    } catch (error) {
+        console.error('Key export error:', error);
+        showToast(`Key export failed: ${error.message}`, 'error');
+    }
+}
+
+// device.json that Macless Haystack (and this app's importer) understands
+function exportDeviceJson() {
+    const keys = getFormKeys();
+    if (keys.length === 0) return;
+
+    const device = {
+        id: document.getElementById('accessoryId').value.trim(),
+        name: document.getElementById('accessoryName').value.trim() || 'Haystack Tag',
+        privateKey: keys[0],
+        additionalKeys: keys.slice(1),
+        isActive: true
+    };
+
+    downloadFile(`${getKeyFilePrefix()}_devices.json`, JSON.stringify([device], null, 2), 'application/json');
+}
+
+async function copyAdvertisementKey() {
+    const keys = getFormKeys();
+    if (keys.length === 0) return;
+
+    let advertisementKey;
+    try {
+        advertisementKey = bytesToBase64(await getAdvertisementKey(keys[0]));
+    } catch (error) {
+        console.error('Advertisement key error:', error);
+        showToast(`Invalid private key: ${error.message}`, 'error');
+        return;
+    }
+
+    try {
+        await navigator.clipboard.writeText(advertisementKey);
+        showToast('Advertisement key copied', 'success');
+    } catch (error) {
+        showToast('Could not copy to clipboard', 'error');
+    }
+}
+
+// ============================================
+// IMPORT/EXPORT
+// ============================================
+
+// Save generated content as a file download
+function downloadFile(filename, content, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function colorComponentsToHex(components) {
+    const toHex = (val) => {
+        const num = val <= 1 ? Math.round(val * 255) : Math.round(val);
+        return num.toString(16).padStart(2, '0');
+    };
+
+    if (components && components.length >= 3) {
+        const r = toHex(components[0]);
+        const g = toHex(components[1]);
+        const b = toHex(components[2]);
+        return `#${r}${g}${b}`.toUpperCase();
+    }
+    return '#3B82F6';
+}
+
+function deviceIdToHex(id) {
+    if (typeof id === 'number') {
+        return id.toString(16).toUpperCase().padStart(8, '0');
+    }
+    return id.toString();
+}
+
+function importDeviceJson(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            const data = JSON.parse(e.target.result);
+            const devices = Array.isArray(data) ? data : [data];
+
+            if (devices.length === 0) {
+                showToast('No devices found in file', 'error');
+                return;
+            }
+
+            const device = devices[0];
+
+            document.getElementById('accessoryName').value = device.name || '';
+            document.getElementById('accessoryId').value = deviceIdToHex(device.id);
+            document.getElementById('accessoryKey').value = device.privateKey || '';
+            document.getElementById('accessoryAdditionalKeys').value = (device.additionalKeys || []).join('\n');
+            updateKeyCount();
+            renderKeyMaterial();
+
+            const hexColor = colorComponentsToHex(device.colorComponents);
+            selectColor(hexColor);
+
+            // Set icon emoji based on old icon mapping (empty by default, user can choose)
+            const iconEmojiMap = {
+                'tag': '🏷️', 'key': '🔑', 'bag': '🎒',
+                'backpack': '🎒', 'bike': '🚲', 'bicycle': '🚲',
+                'car': '🚗', 'vehicle': '🚗', 'pet': '🐕', 'dog': '🐕', 'cat': '🐱'
+            };
+            // Leave the emoji field empty so user can choose their own
+            document.getElementById('accessoryIcon').value = '';
+
+            state.importedIsActive = device.isActive !== undefined ? device.isActive : true;
+
+            showToast(`Loaded "${device.name}" from device.json`, 'success');
+
+            if (devices.length > 1) {
+                setTimeout(() => {
+                    if (confirm(`This file contains ${devices.length} devices. Import all of them?`)) {
+                        importAllDevices(devices);
+                    }
+                }, 500);
+            }
+        } catch (error) {
+            console.error('Import device.json error:', error);
+            showToast('Failed to parse device.json file', 'error');
+        }
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+}
+
+async function importAllDevices(devices) {
+    let imported = 0;
+
+    for (const device of devices) {
+        try {
+            const accessory = {
+                id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
+                name: device.name || 'Unknown',
+                deviceId: deviceIdToHex(device.id),
+                privateKey: device.privateKey || '',
+                additionalKeys: (device.additionalKeys || []).filter(key => key && key !== device.privateKey),
+                color: colorComponentsToHex(device.colorComponents),
+                icon: 'tag',
+                active: device.isActive !== undefined ? device.isActive : true,
+                createdAt: new Date().toISOString()
+            };
+
+            state.accessories.push(accessory);
+            imported++;
+        } catch (error) {
+            console.error('Error importing device:', device, error);
+        }
+    }
+
+    saveAccessories();
+    showToast(`Imported ${imported} device(s)`, 'success');
+    closeAccessoryModal();
+}
+
+// ============================================
+// LOCATION HISTORY EXPORT
+// ============================================
+
+const exportFormats = {
+    gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml', build: buildGpx },
+    kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', build: buildKml },
+    geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', build: buildGeoJson },
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', build: buildCsv }
+};
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function escapeCsv(value) {
+    let str = String(value ?? '');
+    // Keep spreadsheets from running a device name like "=HYPERLINK(...)" as a
+    // formula; negative coordinates are plain numbers and stay as they are
+    if (/^[=+\-@\t\r]/.test(str) && !Number.isFinite(Number(str))) {
+        str = `'${str}`;
+    }
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Collect per-device tracks for export
+ * @param {string|null} accessoryId - One device, or null for all devices
+ * @param {number} from - Start of the range (ms timestamp)
+ * @param {number} to - End of the range (ms timestamp)
+ * @returns {Array<{accessory: Object, locations: Array}>} Tracks with at least one point, oldest point first
+ */
+function collectExportTracks(accessoryId, from, to) {
+    const accessories = accessoryId
+        ? state.accessories.filter(a => a.id === accessoryId)
+        : state.accessories;
+
+    return accessories.map(accessory => ({
+        accessory,
+        locations: state.locations
+            .filter(l => l.accessoryId === accessory.id && l.timestamp >= from && l.timestamp <= to)
+            .sort((a, b) => a.timestamp - b.timestamp)
+    })).filter(track => track.locations.length > 0);
+}
+
+// GPX 1.1: one track per device; accuracy/confidence/battery go in extensions
+function buildGpx(tracks) {
+    const trks = tracks.map(({ accessory, locations }) => `
+  <trk>
+    <name>${escapeXml(accessory.name)}</name>
+    <desc>Device ${escapeXml(accessory.deviceId)}</desc>
+    <trkseg>${locations.map(loc => `
+      <trkpt lat="${loc.lat.toFixed(7)}" lon="${loc.lng.toFixed(7)}">
+        <time>${new Date(loc.timestamp).toISOString()}</time>
+        <extensions>
+          <haystack:accuracy>${loc.accuracy}</haystack:accuracy>
+          <haystack:confidence>${loc.confidence}</haystack:confidence>
+          ${loc.batteryStatus ? `<haystack:battery>${loc.batteryStatus}</haystack:battery>` : ''}
+        </extensions>
+      </trkpt>`).join('')}
+    </trkseg>
+  </trk>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Macless Haystack Web" xmlns="http://www.topografix.com/GPX/1/1" xmlns:haystack="urn:macless-haystack:gpx">${trks}
+</gpx>
+`;
+}
+
+// KML: a folder per device with a timestamped placemark per point and the track line
+function buildKml(tracks) {
+    const folders = tracks.map(({ accessory, locations }) => {
+        const color = kmlColor(accessory.color);
+        const points = locations.map(loc => `
+      <Placemark>
+        <name>${escapeXml(new Date(loc.timestamp).toLocaleString())}</name>
+        <TimeStamp><when>${new Date(loc.timestamp).toISOString()}</when></TimeStamp>
+        <ExtendedData>
+          <Data name="accuracy"><value>${loc.accuracy}</value></Data>
+          <Data name="confidence"><value>${loc.confidence}</value></Data>
+          <Data name="battery"><value>${escapeXml(loc.batteryStatus || '')}</value></Data>
+        </ExtendedData>
+        <Point><coordinates>${loc.lng.toFixed(7)},${loc.lat.toFixed(7)}</coordinates></Point>
+      </Placemark>`).join('');
+
+        return `
+    <Folder>
+      <name>${escapeXml(accessory.name)}</name>
+      <Placemark>
+        <name>${escapeXml(accessory.name)} track</name>
+        <Style><LineStyle><color>${color}</color><width>3</width></LineStyle></Style>
+        <LineString><tessellate>1</tessellate><coordinates>${locations.map(loc => `${loc.lng.toFixed(7)},${loc.lat.toFixed(7)}`).join(' ')}</coordinates></LineString>
+      </Placemark>${points}
+    </Folder>`;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Macless Haystack export</name>${folders}
+  </Document>
+</kml>
+`;
+}
+
+// KML colours are aabbggrr
+function kmlColor(hex) {
+    const clean = (hex || '#3B82F6').replace('#', '');
+    return `ff${clean.slice(4, 6)}${clean.slice(2, 4)}${clean.slice(0, 2)}`.toLowerCase();
+}
+
+// GeoJSON FeatureCollection of points (one geometry type, so it loads as a single QGIS layer)
+function buildGeoJson(tracks) {
+    const features = [];
+    tracks.forEach(({ accessory, locations }) => {
+        locations.forEach(loc => {
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [loc.lng, loc.lat] },
+                properties: {
+                    device: accessory.name,
+                    deviceId: accessory.deviceId,
+                    timestamp: new Date(loc.timestamp).toISOString(),
+                    accuracy: loc.accuracy,
+                    confidence: loc.confidence,
+                    batteryStatus: loc.batteryStatus || null
+                }
+            });
+        });
+    });
+
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+function buildCsv(tracks) {
+    const rows = [['device', 'deviceId', 'timestamp', 'latitude', 'longitude', 'accuracy', 'confidence', 'batteryStatus']];
+    tracks.forEach(({ accessory, locations }) => {
+        locations.forEach(loc => {
+            rows.push([
+                accessory.name,
+                accessory.deviceId,
+                new Date(loc.timestamp).toISOString(),
+                loc.lat.toFixed(7),
+                loc.lng.toFixed(7),
+                loc.accuracy,
+                loc.confidence,
+                loc.batteryStatus || ''
+            ]);
+        });
+    });
+
+    return rows.map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+}
+
+// Value for a datetime-local input, in local time
+function toDateTimeLocalValue(timestamp) {
+    const date = new Date(timestamp);
+    date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+    return date.toISOString().slice(0, 16);
+}
+
+// Points handed in with the range (e.g. a trip's track), used instead of the
+// stored reports while that device stays selected
+const exportView = {
+    accessoryId: null,
+    locations: null
+};
+
+/**
+ * Open the export dialog
+ * @param {string|null} accessoryId - Device to preselect, or null for all devices
+ * @param {Object} [range] - Optional { from, to } ms timestamps; defaults to the fetch window.
+ *   range.locations, when given, are the points to export instead of the stored reports
+ */
+function openExportModal(accessoryId = null, range = null) {
+    exportView.accessoryId = accessoryId;
+    exportView.locations = range?.locations || null;
+
+    const select = document.getElementById('exportDevice');
+    select.innerHTML = '<option value="">All devices</option>' + state.accessories
+        .map(a => `<option value="${a.id}">${escapeXml(a.name)}</option>`)
+        .join('');
+    select.value = accessoryId || '';
+
+    const to = range?.to ?? Date.now();
+    const from = range?.from ?? to - state.settings.daysToFetch * 86400000;
+    document.getElementById('exportFrom').value = toDateTimeLocalValue(from);
+    document.getElementById('exportTo').value = toDateTimeLocalValue(to);
+
+    document.getElementById('exportModal').classList.add('active');
+}
+
+function closeExportModal() {
+    document.getElementById('exportModal').classList.remove('active');
+}
+
+function handleExport() {
+    const accessoryId = document.getElementById('exportDevice').value || null;
+    const format = exportFormats[document.getElementById('exportFormat').value];
+    const from = new Date(document.getElementById('exportFrom').value).getTime() || 0;
+    // The inputs have minute precision, so the end minute counts in full
+    const to = (new Date(document.getElementById('exportTo').value).getTime() + 59999) || Date.now();
+
+    if (from > to) {
+        showToast('Start of the range is after its end', 'error');
+        return;
+    }
+
+    const presetAccessory = exportView.locations && accessoryId === exportView.accessoryId
+        ? state.accessories.find(a => a.id === accessoryId)
+        : null;
+    const tracks = presetAccessory
+        ? [{ accessory: presetAccessory, locations: exportView.locations.filter(l => l.timestamp >= from && l.timestamp <= to) }]
+            .filter(track => track.locations.length > 0)
+        : collectExportTracks(accessoryId, from, to);
+    const pointCount = tracks.reduce((sum, track) => sum + track.locations.length, 0);
+    if (pointCount === 0) {
+        showToast('No locations in this time range', 'warning');
+        return;
+    }
+
+    const accessory = state.accessories.find(a => a.id === accessoryId);
+    const baseName = (accessory ? accessory.name : 'all-devices').replace(/[^A-Za-z0-9_-]+/g, '_');
+    const dateStr = new Date().toISOString().slice(0, 10);
+
+    downloadFile(`haystack-${baseName}-${dateStr}.${format.extension}`, format.build(tracks), format.mimeType);
+    closeExportModal();
+    showToast(`Exported ${pointCount} point${pointCount !== 1 ? 's' : ''} as ${format.label}`, 'success');
+}
+
+// ============================================
+// MY LOCATION
+// ============================================
+
+// "Locate me": the browser's own position on the map, the distance and
+// bearing from it to every device, and a full-screen proximity view that
+// points towards one device while walking to it
+const myLocation = {
+    watchId: null,
+    position: null,        // { lat, lng, accuracy, heading, timestamp }
+    marker: null,
+    accuracyCircle: null,
+    centered: false,       // map has been moved to the first fix
+    compassHeading: null,  // degrees from north, from the device orientation sensor
+    proximityDeviceId: null,
+    lastDistance: null
+};
+
+function initMyLocationControl() {
+    const LocateControl = L.Control.extend({
+        options: { position: 'topleft' },
+        onAdd() {
+            const button = L.DomUtil.create('button', 'map-control-btn');
+            button.id = 'locateMeBtn';
+            button.title = 'Show my location';
+            button.innerHTML = `
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <circle cx="12" cy="12" r="7"></circle>
+                    <circle cx="12" cy="12" r="2" fill="currentColor"></circle>
+                    <line x1="12" y1="1" x2="12" y2="5"></line>
+                    <line x1="12" y1="19" x2="12" y2="23"></line>
+                    <line x1="1" y1="12" x2="5" y2="12"></line>
+                    <line x1="19" y1="12" x2="23" y2="12"></line>
+                </svg>
+            `;
+            L.DomEvent.disableClickPropagation(button);
+            L.DomEvent.on(button, 'click', toggleMyLocation);
+            return button;
+        }
+    });
+    new LocateControl().addTo(state.map);
+
+    document.getElementById('proximityBtn').addEventListener('click', () => openProximityView(state.selectedDeviceId));
+    document.getElementById('detailDeviceStatus').addEventListener('click', () => {
+        geocoder.detailShowsRaw = !geocoder.detailShowsRaw;
+        renderDetailStatus(state.selectedDeviceId);
+    });
+    document.querySelectorAll('#detailCopyCoords [data-format]').forEach(button => {
+        button.addEventListener('click', () => copyCoordinates(state.selectedDeviceId, button.dataset.format));
+    });
+    document.getElementById('closeProximityBtn').addEventListener('click', closeProximityView);
+}
+
+function toggleMyLocation() {
+    if (myLocation.watchId !== null) {
+        // A second tap recentres; the proximity view keeps tracking on
+        if (myLocation.position && !state.map.getBounds().contains([myLocation.position.lat, myLocation.position.lng])) {
+            state.map.setView([myLocation.position.lat, myLocation.position.lng]);
+        } else if (!myLocation.proximityDeviceId) {
+            stopMyLocation();
+        }
+        return;
+    }
+    startMyLocation();
+}
+
+function startMyLocation() {
+    if (myLocation.watchId !== null) return;
+
+    if (!('geolocation' in navigator)) {
+        showToast('Location is not available in this browser', 'error');
+        return;
+    }
+
+    myLocation.centered = false;
+    myLocation.watchId = navigator.geolocation.watchPosition(handlePositionUpdate, handlePositionError, {
+        enableHighAccuracy: true,
+        maximumAge: 5000,
+        timeout: 30000
+    });
+    document.getElementById('locateMeBtn')?.classList.add('active');
+}
+
+function stopMyLocation() {
+    if (myLocation.watchId !== null) {
+        navigator.geolocation.clearWatch(myLocation.watchId);
+    }
+    myLocation.watchId = null;
+    myLocation.position = null;
+
+    if (myLocation.marker) state.map.removeLayer(myLocation.marker);
+    if (myLocation.accuracyCircle) state.map.removeLayer(myLocation.accuracyCircle);
+    myLocation.marker = null;
+    myLocation.accuracyCircle = null;
+
+    document.getElementById('locateMeBtn')?.classList.remove('active');
+    updateDistanceLabels();
+}
+
+function handlePositionUpdate(position) {
+    const { latitude, longitude, accuracy, heading } = position.coords;
+    myLocation.position = {
+        lat: latitude,
+        lng: longitude,
+        accuracy: Math.round(accuracy),
+        heading: Number.isFinite(heading) ? heading : null,
+        timestamp: position.timestamp
+    };
+
+    const latLng = [latitude, longitude];
+    if (!myLocation.marker) {
+        myLocation.accuracyCircle = L.circle(latLng, {
+            radius: accuracy,
+            color: '#3B82F6',
+            weight: 1,
+            fillColor: '#3B82F6',
+            fillOpacity: 0.12,
+            interactive: false
+        }).addTo(state.map);
+        myLocation.marker = L.circleMarker(latLng, {
+            radius: 8,
+            color: '#fff',
+            weight: 3,
+            fillColor: '#3B82F6',
+            fillOpacity: 1
+        }).bindTooltip('You').addTo(state.map);
+    } else {
+        myLocation.marker.setLatLng(latLng);
+        myLocation.accuracyCircle.setLatLng(latLng).setRadius(accuracy);
+    }
+
+    if (!myLocation.centered) {
+        myLocation.centered = true;
+        state.map.setView(latLng, Math.max(state.map.getZoom(), 15));
+    }
+
+    updateDistanceLabels();
+    updateProximityView();
+}
+
+function handlePositionError(error) {
+    const messages = {
+        1: 'Location permission denied',
+        2: 'Location unavailable',
+        3: 'Location request timed out'
+    };
+    showToast(messages[error.code] || 'Could not get your location', 'error');
+
+    // Without permission there is nothing more to wait for
+    if (error.code === 1) {
+        closeProximityView();
+        stopMyLocation();
+    }
+}
+
+// Distance and bearing from the user to a device's latest report, or null without a fix
+function getDeviceDirection(accessoryId) {
+    const from = myLocation.position;
+    const latest = state.locations.filter(l => l.accessoryId === accessoryId).pop();
+    if (!from || !latest) return null;
+
+    const distance = distanceMeters(from.lat, from.lng, latest.lat, latest.lng);
+    const bearing = bearingDegrees(from.lat, from.lng, latest.lat, latest.lng);
+    return { distance, bearing, latest };
+}
+
+function getDirectionHtml(accessoryId) {
+    const direction = getDeviceDirection(accessoryId);
+    if (!direction) return '';
+
+    return `
+        <svg class="direction-arrow" width="12" height="12" viewBox="0 0 24 24" style="transform: rotate(${Math.round(direction.bearing)}deg);">
+            <path d="M12 2 L19 21 L12 17 L5 21 Z" fill="currentColor"></path>
+        </svg>
+        ${formatDistance(direction.distance)} ${compassPoint(direction.bearing)}
+    `;
+}
+
+// Refresh every distance label in the device list and detail panel in place,
+// so position updates do not re-render the list under the user's finger
+function updateDistanceLabels() {
+    document.querySelectorAll('[data-distance-to]').forEach(element => {
+        const html = getDirectionHtml(element.dataset.distanceTo);
+        element.innerHTML = html;
+        element.style.display = html ? '' : 'none';
+    });
+}
+
+// ---- Proximity view ----
+
+function openProximityView(accessoryId) {
+    const accessory = state.accessories.find(a => a.id === accessoryId);
+    if (!accessory) return;
+
+    if (!state.locations.some(l => l.accessoryId === accessoryId)) {
+        showToast('No location for this device yet', 'warning');
+        return;
+    }
+
+    myLocation.proximityDeviceId = accessoryId;
+    myLocation.lastDistance = null;
+    document.getElementById('proximityDeviceName').textContent = `${getDisplayIcon(accessory)} ${accessory.name}`;
+    document.getElementById('proximityArrow').style.color = accessory.color;
+    document.getElementById('proximityView').classList.add('active');
+
+    startCompass();
+    startMyLocation();
+    updateProximityView();
+}
+
+function closeProximityView() {
+    myLocation.proximityDeviceId = null;
+    stopCompass();
+    document.getElementById('proximityView').classList.remove('active');
+}
+
+function updateProximityView() {
+    if (!myLocation.proximityDeviceId) return;
+
+    const direction = getDeviceDirection(myLocation.proximityDeviceId);
+    const distanceEl = document.getElementById('proximityDistance');
+    const bearingEl = document.getElementById('proximityBearing');
+    const trendEl = document.getElementById('proximityTrend');
+    const metaEl = document.getElementById('proximityMeta');
+
+    if (!direction) {
+        distanceEl.textContent = '–';
+        bearingEl.textContent = 'Waiting for your location…';
+        trendEl.textContent = '';
+        metaEl.textContent = '';
+        return;
+    }
+
+    const { distance, bearing, latest } = direction;
+    const own = myLocation.position;
+
+    // Point the arrow relative to where the phone faces when we know that, otherwise north-up
+    const heading = myLocation.compassHeading ?? own.heading;
+    const rotation = heading !== null ? bearing - heading : bearing;
+    document.getElementById('proximityArrow').style.transform = `rotate(${Math.round(rotation)}deg)`;
+
+    distanceEl.textContent = formatDistance(distance);
+    bearingEl.textContent = heading !== null
+        ? `${compassPoint(bearing)} · ${Math.round(bearing)}°`
+        : `${compassPoint(bearing)} · ${Math.round(bearing)}° (arrow points north-up)`;
+
+    if (distance <= (latest.accuracy || 0) + own.accuracy) {
+        trendEl.textContent = 'Within the report\'s accuracy – look around';
+        trendEl.className = 'proximity-trend near';
+    } else if (myLocation.lastDistance !== null && Math.abs(distance - myLocation.lastDistance) >= 3) {
+        const closer = distance < myLocation.lastDistance;
+        trendEl.textContent = closer ? 'Getting closer' : 'Getting farther';
+        trendEl.className = `proximity-trend ${closer ? 'closer' : 'farther'}`;
+    }
+    if (myLocation.lastDistance === null || Math.abs(distance - myLocation.lastDistance) >= 3) {
+        myLocation.lastDistance = distance;
+    }
+
+    metaEl.textContent = `Tag seen ${formatTimeAgo(latest.timestamp)} · ±${latest.accuracy}m · you ±${own.accuracy}m`;
+}
+
+async function startCompass() {
+    // iOS asks for permission, which has to happen in the tap that opened the view
+    if (typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function') {
+        try {
+            if (await DeviceOrientationEvent.requestPermission() !== 'granted') return;
+        } catch (error) {
+            console.warn('[WARN] Compass permission failed:', error);
+            return;
+        }
+    }
+
+    window.addEventListener('deviceorientationabsolute', handleOrientation);
+    window.addEventListener('deviceorientation', handleOrientation);
+}
+
+function stopCompass() {
+    window.removeEventListener('deviceorientationabsolute', handleOrientation);
+    window.removeEventListener('deviceorientation', handleOrientation);
+    myLocation.compassHeading = null;
+}
+
+function handleOrientation(e) {
+    if (typeof e.webkitCompassHeading === 'number') {
+        myLocation.compassHeading = e.webkitCompassHeading;
+    } else if (e.absolute && e.alpha !== null) {
+        myLocation.compassHeading = (360 - e.alpha) % 360;
+    } else {
+        return;
+    }
+    updateProximityView();
+}
+
+// ============================================
+// REVERSE GEOCODING
+// ============================================
+
+// Place names for coordinates, from a self-hosted geocoder and/or a locally
+// hosted dataset of named points - never a public service. Names are cached
+// per ~100 m cell (coordinates rounded to 3 decimals) and persisted.
+const PLACE_CACHE_LIMIT = 2000;
+
+const geocoder = {
+    cache: null,          // cell -> name ('' when nothing was found)
+    pending: new Map(),   // cell -> Promise
+    queue: Promise.resolve(),
+    dataset: null,        // { grid: Map('latCell,lngCell' -> points) } once loaded
+    datasetPromise: null,
+    refreshTimer: null,
+    detailShowsRaw: false
+};
+
+// Parsed geocoder or dataset URL (relative ones resolve against the app), or null
+function parseGeocoderUrl(url) {
+    try {
+        return new URL(url.replace(/\{(lat|lng)\}/g, '0'), window.location.href);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Loopback, private and link-local addresses, and mDNS names
+function isLocalNetworkHost(host) {
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local')) return true;
+
+    const ipv4 = host.match(/^(\d+)\.(\d+)\.\d+\.\d+$/);
+    if (ipv4) {
+        const [a, b] = [Number(ipv4[1]), Number(ipv4[2])];
+        return a === 127 || a === 10 ||
+            (a === 172 && b >= 16 && b <= 31) ||
+            (a === 192 && b === 168) ||
+            (a === 169 && b === 254);
+    }
+
+    // URL keeps IPv6 hosts in brackets
+    const ipv6 = host.match(/^\[(.*)\]$/)?.[1];
+    if (ipv6) {
+        return ipv6 === '::1' || /^f[cd]/.test(ipv6) || /^fe[89ab]/.test(ipv6);
+    }
+    return false;
+}
+
+// Only geocoders on this origin or the local network; locations never go to public services
+function isAllowedGeocoderUrl(url) {
+    const parsed = parseGeocoderUrl(url);
+    if (!parsed || !/^https?:$/.test(parsed.protocol)) return false;
+    return parsed.origin === window.location.origin || isLocalNetworkHost(parsed.hostname);
+}
+
+function hasGeocoder() {
+    return Boolean(state.settings.geocoderUrl || state.settings.geocoderDatasetUrl);
+}
+
+function placeCell(lat, lng) {
+    return `${lat.toFixed(3)},${lng.toFixed(3)}`;
+}
+
+function loadPlaceCache() {
+    if (geocoder.cache) return;
+    try {
+        geocoder.cache = new Map(Object.entries(JSON.parse(localStorage.getItem('haystackPlaceNames') || '{}')));
+    } catch (e) {
+        geocoder.cache = new Map();
+    }
+}
+
+function savePlaceCache() {
+    // Map keeps insertion order, so the oldest cells are dropped first
+    const entries = [...geocoder.cache.entries()].filter(([, name]) => name).slice(-PLACE_CACHE_LIMIT);
+    localStorage.setItem('haystackPlaceNames', JSON.stringify(Object.fromEntries(entries)));
+}
+
+function resetGeocoder() {
+    geocoder.cache = new Map();
+    geocoder.pending.clear();
+    geocoder.dataset = null;
+    geocoder.datasetPromise = null;
+    localStorage.removeItem('haystackPlaceNames');
+}
+
+/**
+ * Cached place name for a coordinate. Unknown cells are looked up in the
+ * background and the lists are refreshed when the answer arrives.
+ * @returns {string|null}
+ */
+function getPlaceName(lat, lng) {
+    if (!hasGeocoder()) return null;
+    loadPlaceCache();
+
+    const cell = placeCell(lat, lng);
+    if (geocoder.cache.has(cell)) {
+        return geocoder.cache.get(cell) || null;
+    }
+
+    lookupPlaceName(lat, lng).then(name => {
+        if (name) schedulePlaceRefresh();
+    });
+    return null;
+}
+
+// Look up (or return the cached) place name for a coordinate
+function lookupPlaceName(lat, lng) {
+    if (!hasGeocoder()) return Promise.resolve(null);
+    loadPlaceCache();
+
+    const cell = placeCell(lat, lng);
+    if (geocoder.cache.has(cell)) {
+        return Promise.resolve(geocoder.cache.get(cell) || null);
+    }
+    if (geocoder.pending.has(cell)) {
+        return geocoder.pending.get(cell);
+    }
+
+    // One request at a time, so a long device list does not flood the geocoder.
+    // Only a real "nothing here" answer is cached; failed lookups are retried later
+    const lookup = geocoder.queue.then(() => resolvePlaceName(lat, lng)).then(name => {
+        geocoder.cache.set(cell, name || '');
+        geocoder.pending.delete(cell);
+        if (name) savePlaceCache();
+        return name || null;
+    }, () => {
+        geocoder.pending.delete(cell);
+        return null;
+    });
+    geocoder.queue = lookup.catch(() => {});
+    geocoder.pending.set(cell, lookup);
+    return lookup;
+}
+
+// Rejects when no source answered, so the caller does not cache the miss
+async function resolvePlaceName(lat, lng) {
+    let failure = null;
+    if (state.settings.geocoderUrl) {
+        try {
+            const name = await queryGeocoder(lat, lng);
+            if (name) return name;
+        } catch (error) {
+            console.warn('[WARN] Geocoder lookup failed:', error);
+            failure = error;
+        }
+    }
+
+    if (state.settings.geocoderDatasetUrl) {
+        try {
+            const name = nearestDatasetPlace(await loadPlaceDataset(), lat, lng);
+            if (name) return name;
+        } catch (error) {
+            console.warn('[WARN] Place dataset unavailable:', error);
+            failure = error;
+        }
+    }
+
+    if (failure) throw failure;
+    return null;
+}
+
+async function queryGeocoder(lat, lng) {
+    const url = state.settings.geocoderUrl;
+    if (!isAllowedGeocoderUrl(url)) return null;
+
+    const response = await fetch(url
+        .replace(/\{lat\}/g, lat.toFixed(6))
+        .replace(/\{lng\}/g, lng.toFixed(6)));
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return parseGeocoderResponse(await response.json());
+}
+
+// Short "street, locality" label from Nominatim, Photon or Pelias responses
+function parseGeocoderResponse(data) {
+    // Nominatim (format=json / jsonv2)
+    if (data.address || data.display_name) {
+        const a = data.address || {};
+        const street = [a.road || a.pedestrian || a.footway || a.path, a.house_number].filter(Boolean).join(' ');
+        const locality = a.suburb || a.village || a.town || a.city || a.municipality;
+        return [street, locality].filter(Boolean).join(', ') ||
+            (data.display_name || '').split(',').slice(0, 2).join(',').trim() || null;
+    }
+
+    // Photon and Pelias answer with GeoJSON
+    const props = data.features?.[0]?.properties;
+    if (!props) return null;
+    if (props.label) return props.label;
+
+    const street = [props.street, props.housenumber].filter(Boolean).join(' ');
+    const name = props.name && props.name !== props.street ? props.name : null;
+    return [name, street, props.city || props.district].filter(Boolean).join(', ') || null;
+}
+
+// ---- Local dataset ----
+
+// Points are bucketed into 0.1° cells so a lookup only scans its neighbourhood
+const DATASET_CELL = 0.1;
+const DATASET_MAX_RINGS = 10; // give up ~100 km out
+
+function loadPlaceDataset() {
+    if (!isAllowedGeocoderUrl(state.settings.geocoderDatasetUrl)) {
+        return Promise.reject(new Error('Place dataset is not on this origin or the local network'));
+    }
+    if (!geocoder.datasetPromise) {
+        geocoder.datasetPromise = fetch(state.settings.geocoderDatasetUrl)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.text();
+            })
+            .then(text => {
+                geocoder.dataset = indexPlaceDataset(parsePlaceDataset(text));
+                return geocoder.dataset;
+            })
+            .catch(error => {
+                // Allow a retry on the next lookup
+                geocoder.datasetPromise = null;
+                throw error;
+            });
+    }
+    return geocoder.datasetPromise;
+}
+
+/**
+ * Parse named points from GeoJSON (Point features with properties.name) or CSV
+ * with a header row containing name and lat/latitude and lng/lon/longitude columns
+ * @returns {Array} { name, lat, lng }
+ */
+function parsePlaceDataset(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{')) {
+        const data = JSON.parse(trimmed);
+        return (data.features || [])
+            .filter(f => f.geometry?.type === 'Point' && f.properties?.name)
+            .map(f => ({ name: f.properties.name, lat: f.geometry.coordinates[1], lng: f.geometry.coordinates[0] }));
+    }
+
+    const lines = trimmed.split(/\r?\n/);
+    const separator = lines[0].includes('\t') ? '\t' : ',';
+    const header = lines[0].toLowerCase().split(separator).map(h => h.trim());
+    const nameCol = header.indexOf('name');
+    const latCol = header.findIndex(h => h === 'lat' || h === 'latitude');
+    const lngCol = header.findIndex(h => h === 'lng' || h === 'lon' || h === 'longitude');
+    if (nameCol === -1 || latCol === -1 || lngCol === -1) {
+        throw new Error('CSV needs name, lat and lng columns');
+    }
+
+    return lines.slice(1).map(line => {
+        const cols = line.split(separator);
+        return { name: cols[nameCol]?.trim(), lat: parseFloat(cols[latCol]), lng: parseFloat(cols[lngCol]) };
+    }).filter(p => p.name && Number.isFinite(p.lat) && Number.isFinite(p.lng));
+}
+
+function indexPlaceDataset(points) {
+    const grid = new Map();
+    points.forEach(point => {
+        const key = `${Math.floor(point.lat / DATASET_CELL)},${Math.floor(point.lng / DATASET_CELL)}`;
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(point);
+    });
+    console.log(`Indexed ${points.length} place(s) for reverse geocoding`);
+    return { grid };
+}
+
+// Nearest named point, searching rings of cells outwards; far matches say how far
+function nearestDatasetPlace(dataset, lat, lng) {
+    const latCell = Math.floor(lat / DATASET_CELL);
+    const lngCell = Math.floor(lng / DATASET_CELL);
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (let ring = 0; ring <= DATASET_MAX_RINGS; ring++) {
+        for (let dLat = -ring; dLat <= ring; dLat++) {
+            for (let dLng = -ring; dLng <= ring; dLng++) {
+                if (Math.max(Math.abs(dLat), Math.abs(dLng)) !== ring) continue;
+                (dataset.grid.get(`${latCell + dLat},${lngCell + dLng}`) || []).forEach(point => {
+                    const distance = distanceMeters(lat, lng, point.lat, point.lng);
+                    if (distance < bestDistance) {
+                        best = point;
+                        bestDistance = distance;
+                    }
+                });
+            }
+        }
+        // Anything in a further ring is at least this far away
+        if (best && bestDistance <= ring * DATASET_CELL * 111000 * Math.cos(toRadians(lat))) break;
+    }
+
+    if (!best) return null;
+    return bestDistance < 1000 ? best.name : `${best.name} (${formatDistance(bestDistance)})`;
+}
+
+// Re-render statuses once a batch of lookups has come back
+function schedulePlaceRefresh() {
+    clearTimeout(geocoder.refreshTimer);
+    geocoder.refreshTimer = setTimeout(refreshPlaceLabels, 300);
+}
+
+// ============================================
+// PLACES
+// ============================================
+
+// A book of named places (Home, Office, ...) with a radius each. Unlike
+// geofences they raise no alerts; they label locations in the devices list,
+// the detail panel and popups, and can group the devices list.
+const PLACE_COLOR = '#8B5CF6';
+
+const places = {
+    list: [],          // { id, name, lat, lng, radius }
+    layerGroup: null,
+    editingPlaceId: null
+};
+
+function loadPlaces() {
+    try {
+        places.list = JSON.parse(localStorage.getItem('haystackPlaces') || '[]');
+    } catch (e) {
+        console.error('Failed to load places:', e);
+    }
+}
+
+function savePlaces() {
+    localStorage.setItem('haystackPlaces', JSON.stringify(places.list));
+}
+
+// A report is "near" a place out to three times its radius (at least 250 m past the edge)
+function placeNearDistance(place) {
+    return Math.max(place.radius * 3, place.radius + 250);
+}
+
+/**
+ * Closest named place for a coordinate
+ * @returns {Object|null} { place, inside, distance }
+ */
+function findNamedPlace(lat, lng) {
+    let best = null;
+    places.list.forEach(place => {
+        const distance = distanceMeters(lat, lng, place.lat, place.lng);
+        const inside = distance <= place.radius;
+        if (!inside && distance > placeNearDistance(place)) return;
+        // A place the point is inside always beats one it is only near
+        if (!best || (inside && !best.inside) || (inside === best.inside && distance < best.distance)) {
+            best = { place, inside, distance };
+        }
+    });
+    return best;
+}
+
+// When the device's current run of reports at a place started
+function placeArrivalTime(loc, place) {
+    const history = getDeviceLocations(loc.accessoryId);
+
+    let arrival = loc.timestamp;
+    for (let i = history.length - 1; i >= 0; i--) {
+        const l = history[i];
+        if (l.timestamp > loc.timestamp) continue;
+        if (distanceMeters(l.lat, l.lng, place.lat, place.lng) > place.radius) break;
+        arrival = l.timestamp;
+    }
+    return arrival;
+}
+
+function formatPlaceSince(timestamp) {
+    const date = new Date(timestamp);
+    const timeStr = date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    if (date.toDateString() === new Date().toDateString()) return timeStr;
+    return `${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} ${timeStr}`;
+}
+
+/**
+ * "At Home" / "Near Office" label for a report, or null when no place is close
+ * @param {boolean} [withSince] - Add when the device arrived ("At Home since 14:05")
+ */
+function getNamedPlaceLabel(loc, withSince = false) {
+    if (!loc || places.list.length === 0) return null;
+    const match = findNamedPlace(loc.lat, loc.lng);
+    if (!match) return null;
+    if (!match.inside) return `Near ${match.place.name}`;
+    return withSince
+        ? `At ${match.place.name} since ${formatPlaceSince(placeArrivalTime(loc, match.place))}`
+        : `At ${match.place.name}`;
+}
+
+// Devices list groups: one per place (in book order) with devices currently there, then the rest
+function groupAccessoriesByPlace(accessories) {
+    const groups = places.list.map(place => ({ name: place.name, placeId: place.id, accessories: [] }));
+    const elsewhere = { name: 'Elsewhere', accessories: [] };
+
+    accessories.forEach(accessory => {
+        const history = getDeviceLocations(accessory.id);
+        const latestLoc = history[history.length - 1];
+        const match = latestLoc && findNamedPlace(latestLoc.lat, latestLoc.lng);
+        const group = match?.inside && groups.find(g => g.placeId === match.place.id);
+        (group || elsewhere).accessories.push(accessory);
+    });
+
+    return [...groups, elsewhere].filter(group => group.accessories.length > 0);
+}
+
+function renderPlaceLayers() {
+    if (!places.layerGroup) {
+        places.layerGroup = L.layerGroup().addTo(state.map);
+    }
+    places.layerGroup.clearLayers();
+
+    places.list.forEach(place => {
+        const circle = L.circle([place.lat, place.lng], {
+            radius: place.radius,
+            color: PLACE_COLOR,
+            weight: 2,
+            fillOpacity: 0.08,
+            interactive: false
+        });
+        const marker = L.marker([place.lat, place.lng], {
+            draggable: true,
+            icon: L.divIcon({
+                className: 'place-marker',
+                html: `<div class="place-marker-pin"></div><div class="place-marker-label">${escapeXml(place.name)}</div>`,
+                iconSize: [16, 16],
+                iconAnchor: [8, 8]
+            })
+        });
+
+        // Drag the pin to move the place
+        marker.on('drag', () => circle.setLatLng(marker.getLatLng()));
+        marker.on('dragend', () => {
+            const { lat, lng } = marker.getLatLng();
+            place.lat = lat;
+            place.lng = lng;
+            savePlaces();
+            refreshPlaceLabels();
+            showToast(`${place.name} moved`, 'success');
+        });
+        marker.on('click', () => {
+            openPlacesModal();
+            editPlace(place.id);
+        });
+
+        places.layerGroup.addLayer(circle);
+        places.layerGroup.addLayer(marker);
+    });
+}
+
+// Labels depend on the place book, so redraw everything that shows them
+function refreshPlaceLabels() {
+    renderDevicesList();
+    refreshDeviceDetail();
+}
+
+// Map button that opens the places book
+function initPlacesControl() {
+    const PlacesControl = L.Control.extend({
+        options: { position: 'topleft' },
+        onAdd() {
+            const button = L.DomUtil.create('button', 'map-control-btn');
+            button.title = 'Places';
+            button.innerHTML = `
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M3 9l9-7 9 7v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z"></path>
+                    <polyline points="9 22 9 12 15 12 15 22"></polyline>
+                </svg>
+            `;
+            L.DomEvent.disableClickPropagation(button);
+            L.DomEvent.on(button, 'click', () => openPlacesModal());
+            return button;
+        }
+    });
+    new PlacesControl().addTo(state.map);
+}
+
+function initPlaces() {
+    loadPlaces();
+    renderPlaceLayers();
+    initPlacesControl();
+
+    document.getElementById('closePlacesBtn').addEventListener('click', closePlacesModal);
+    document.getElementById('donePlacesBtn').addEventListener('click', closePlacesModal);
+    document.getElementById('addPlaceBtn').addEventListener('click', addPlaceAtMapCenter);
+    document.getElementById('savePlaceBtn').addEventListener('click', savePlaceDetails);
+    document.getElementById('cancelPlaceEditBtn').addEventListener('click', () => resetPlaceForm());
+    document.getElementById('groupByPlaceBtn').addEventListener('click', toggleGroupByPlace);
+    document.getElementById('groupByPlaceBtn').classList.toggle('selected', state.settings.groupDevicesByPlace);
+}
+
+function toggleGroupByPlace() {
+    state.settings.groupDevicesByPlace = !state.settings.groupDevicesByPlace;
+    persistSettings();
+    document.getElementById('groupByPlaceBtn').classList.toggle('selected', state.settings.groupDevicesByPlace);
+    renderDevicesList();
+}
+
+function openPlacesModal() {
+    resetPlaceForm();
+    renderPlaceList();
+    document.getElementById('placesModal').classList.add('active');
+}
+
+function closePlacesModal() {
+    document.getElementById('placesModal').classList.remove('active');
+}
+
+function renderPlaceList() {
+    const list = document.getElementById('placeList');
+    if (places.list.length === 0) {
+        list.innerHTML = '<div class="zone-empty">No places yet. Pan the map to one and add it below.</div>';
+        return;
+    }
+
+    list.innerHTML = places.list.map(place => {
+        const here = state.accessories.filter(a => {
+            const latestLoc = state.locations
+                .filter(l => l.accessoryId === a.id)
+                .sort((x, y) => y.timestamp - x.timestamp)[0];
+            return latestLoc && distanceMeters(latestLoc.lat, latestLoc.lng, place.lat, place.lng) <= place.radius;
+        });
+        return `
+            <div class="zone-item">
+                <div class="zone-item-info" onclick="editPlace('${place.id}')">
+                    <div class="zone-item-name">${escapeXml(place.name)}</div>
+                    <div class="zone-item-meta">${formatDistance(place.radius)} radius · ${here.length > 0 ? here.map(a => `${getDisplayIcon(a)} ${escapeXml(a.name)}`).join(', ') : 'No devices here'}</div>
+                </div>
+                <button type="button" class="close-btn" onclick="deletePlace('${place.id}')" title="Delete place">&times;</button>
+            </div>
+        `;
+    }).join('');
+}
+
+function resetPlaceForm() {
+    places.editingPlaceId = null;
+    document.getElementById('placeFormTitle').textContent = 'New Place';
+    document.getElementById('placeName').value = '';
+    document.getElementById('placeRadius').value = 100;
+    document.getElementById('addPlaceBtn').style.display = '';
+    document.getElementById('savePlaceBtn').style.display = 'none';
+    document.getElementById('cancelPlaceEditBtn').style.display = 'none';
+}
+
+function editPlace(placeId) {
+    const place = places.list.find(p => p.id === placeId);
+    if (!place) return;
+
+    places.editingPlaceId = placeId;
+    document.getElementById('placeFormTitle').textContent = `Edit ${place.name}`;
+    document.getElementById('placeName').value = place.name;
+    document.getElementById('placeRadius').value = place.radius;
+    document.getElementById('addPlaceBtn').style.display = 'none';
+    document.getElementById('savePlaceBtn').style.display = '';
+    document.getElementById('cancelPlaceEditBtn').style.display = '';
+
+    state.map.fitBounds(L.circle([place.lat, place.lng], { radius: place.radius }).getBounds().pad(0.5));
+}
+
+function readPlaceForm() {
+    const name = document.getElementById('placeName').value.trim();
+    const radius = parseInt(document.getElementById('placeRadius').value);
+    if (!name) {
+        showToast('Please name the place', 'error');
+        return null;
+    }
+    if (!(radius >= 10)) {
+        showToast('Radius must be at least 10 m', 'error');
+        return null;
+    }
+    return { name, radius };
+}
+
+// New places start at the map center; drag the pin to fine-tune
+function addPlaceAtMapCenter() {
+    const fields = readPlaceForm();
+    if (!fields) return;
+
+    const center = state.map.getCenter();
+    places.list.push({
+        id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
+        ...fields,
+        lat: center.lat,
+        lng: center.lng
+    });
+    savePlaces();
+    renderPlaceLayers();
+    renderPlaceList();
+    resetPlaceForm();
+    refreshPlaceLabels();
+    showToast(`${fields.name} added - drag its pin to adjust`, 'success');
+}
+
+function savePlaceDetails() {
+    const place = places.list.find(p => p.id === places.editingPlaceId);
+    if (!place) return;
+
+    const fields = readPlaceForm();
+    if (!fields) return;
+
+    Object.assign(place, fields);
+    savePlaces();
+    renderPlaceLayers();
+    renderPlaceList();
+    resetPlaceForm();
+    refreshPlaceLabels();
+    showToast('Place saved', 'success');
+}
+
+function deletePlace(placeId) {
+    const place = places.list.find(p => p.id === placeId);
+    if (!place || !confirm(`Delete place "${place.name}"?`)) return;
+
+    places.list = places.list.filter(p => p.id !== placeId);
+    savePlaces();
+    renderPlaceLayers();
+    renderPlaceList();
+    resetPlaceForm();
+    refreshPlaceLabels();
+}
+
+// ============================================
+// BROWSER NOTIFICATIONS
+// ============================================
+
+function requestNotificationPermission() {
+    if ('Notification' in window && Notification.permission === 'default') {
+        Notification.requestPermission();
+    }
+}
+
+function showBrowserNotification(title, body, tag) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+    try {
+        new Notification(title, { body, tag, icon: 'assets/favicon.png' });
+    } catch (error) {
+        // Some mobile browsers only allow notifications from a service worker
+        console.warn('[WARN] Notification failed:', error);
+    }
+}
+
+// ============================================
+// GEOFENCES
+// ============================================
+
+// Named circle or polygon zones attached to accessories. New reports are checked
+// against each zone after every fetch and enter/exit transitions are logged.
+const GEOFENCE_EVENT_LIMIT = 500;
+const GEOFENCE_COLOR = '#F59E0B';
+
+const geofences = {
+    zones: [],        // { id, name, type: 'circle'|'polygon', center, radius, points, accessoryIds }
+    zoneStates: {},   // 'zoneId|accessoryId' -> { inside, since, lastTimestamp }
+    events: [],       // newest first: { zoneId, zoneName, accessoryId, accessoryName, type, timestamp }
+    layerGroup: null,
+    editingZoneId: null,
+    pendingZone: null,
+    drawing: null     // { type, points, previewLayer }
+};
+
+function loadGeofences() {
+    try {
+        geofences.zones = JSON.parse(localStorage.getItem('haystackGeofences') || '[]');
+        geofences.zoneStates = JSON.parse(localStorage.getItem('haystackGeofenceStates') || '{}');
+        geofences.events = JSON.parse(localStorage.getItem('haystackGeofenceEvents') || '[]');
+    } catch (e) {
+        console.error('Failed to load geofences:', e);
+    }
+}
+
+function saveGeofences() {
+    localStorage.setItem('haystackGeofences', JSON.stringify(geofences.zones));
+    localStorage.setItem('haystackGeofenceStates', JSON.stringify(geofences.zoneStates));
+    localStorage.setItem('haystackGeofenceEvents', JSON.stringify(geofences.events));
+}
+
+function zoneStateKey(zoneId, accessoryId) {
+    return `${zoneId}|${accessoryId}`;
+}
+
+/**
+ * Classify a report against a zone, taking its accuracy into account
+ * @returns {string|null} 'inside', 'outside', or null when the report is too
+ *   close to the boundary (within its accuracy) to tell
+ */
+function classifyLocationInZone(loc, zone) {
+    if (zone.type === 'circle') {
+        // Cap the uncertain band at half the radius so small zones can still be entered
+        const margin = Math.min(loc.accuracy || 0, zone.radius / 2);
+        const distance = distanceMeters(loc.lat, loc.lng, zone.center[0], zone.center[1]);
+        if (distance <= zone.radius - margin) return 'inside';
+        if (distance > zone.radius + margin) return 'outside';
+        return null;
+    }
+
+    const margin = Math.min(loc.accuracy || 0, 50);
+    if (distanceToPolygonEdgeMeters(loc.lat, loc.lng, zone.points) < margin) return null;
+    return pointInPolygon(loc.lat, loc.lng, zone.points) ? 'inside' : 'outside';
+}
+
+/**
+ * Check new reports against the zones and record enter/exit transitions
+ * @param {Array} locations - Newly merged locations
+ * @param {Object} [options] - { zones: subset to check, record: false to only update state silently }
+ * @returns {Array} New events, oldest first
+ */
+function evaluateGeofences(locations, options = {}) {
+    const zones = options.zones || geofences.zones;
+    const record = options.record !== false;
+    const newEvents = [];
+
+    zones.forEach(zone => {
+        zone.accessoryIds.forEach(accessoryId => {
+            const key = zoneStateKey(zone.id, accessoryId);
+            const zoneState = geofences.zoneStates[key] || { inside: null, since: null, lastTimestamp: 0 };
+
+            // Late-published reports older than what we have seen are ignored, so they cannot flip the state back
+            locations
+                .filter(l => l.accessoryId === accessoryId && l.timestamp > zoneState.lastTimestamp)
+                .sort((a, b) => a.timestamp - b.timestamp)
+                .forEach(loc => {
+                    zoneState.lastTimestamp = loc.timestamp;
+                    const result = classifyLocationInZone(loc, zone);
+                    if (!result) return;
+
+                    const inside = result === 'inside';
+                    if (zoneState.inside === inside) return;
+
+                    // The first definite report only establishes where the device is
+                    if (zoneState.inside !== null && record) {
+                        const accessory = state.accessories.find(a => a.id === accessoryId);
+                        newEvents.push({
+                            zoneId: zone.id,
+                            zoneName: zone.name,
+                            accessoryId,
+                            accessoryName: accessory ? accessory.name : 'Unknown',
+                            type: inside ? 'enter' : 'exit',
+                            timestamp: loc.timestamp
+                        });
+                    }
+                    zoneState.inside = inside;
+                    zoneState.since = loc.timestamp;
+                });
+
+            geofences.zoneStates[key] = zoneState;
+        });
+    });
+
+    if (newEvents.length > 0) {
+        geofences.events = [...newEvents].reverse().concat(geofences.events).slice(0, GEOFENCE_EVENT_LIMIT);
+        newEvents.forEach(raiseGeofenceAlert);
+    }
+    saveGeofences();
+    return newEvents;
+}
+
+function raiseGeofenceAlert(event) {
+    const accessory = state.accessories.find(a => a.id === event.accessoryId);
+    const icon = accessory ? getDisplayIcon(accessory) : '🏷️';
+    const verb = event.type === 'enter' ? 'arrived at' : 'left';
+    const message = `${event.accessoryName} ${verb} ${event.zoneName}`;
+
+    showToast(`${icon} ${message}`, event.type === 'enter' ? 'success' : 'warning');
+    showBrowserNotification(message, `at ${formatTimelineDate(event.timestamp)}`, `zone-${event.zoneId}-${event.accessoryId}`);
+}
+
+// Draw all zones on the map
+function renderGeofenceLayers() {
+    if (!geofences.layerGroup) {
+        geofences.layerGroup = L.layerGroup().addTo(state.map);
+    }
+    geofences.layerGroup.clearLayers();
+
+    const style = { color: GEOFENCE_COLOR, weight: 2, dashArray: '6 4', fillOpacity: 0.08 };
+    geofences.zones.forEach(zone => {
+        const layer = zone.type === 'circle'
+            ? L.circle(zone.center, { ...style, radius: zone.radius })
+            : L.polygon(zone.points, style);
+        layer.bindTooltip(zone.name, { direction: 'center', className: 'zone-tooltip' });
+        geofences.layerGroup.addLayer(layer);
+    });
+}
+
+// Map button that opens the zones dialog
+function initGeofenceControl() {
+    const ZonesControl = L.Control.extend({
+        options: { position: 'topleft' },
+        onAdd() {
+            const button = L.DomUtil.create('button', 'map-control-btn');
+            button.title = 'Zones';
+            button.innerHTML = `
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <circle cx="12" cy="12" r="9" stroke-dasharray="4 3"></circle>
+                    <circle cx="12" cy="12" r="2"></circle>
+                </svg>
+            `;
+            L.DomEvent.disableClickPropagation(button);
+            L.DomEvent.on(button, 'click', () => openGeofenceModal());
+            return button;
+        }
+    });
+    new ZonesControl().addTo(state.map);
+}
+
+function initGeofences() {
+    loadGeofences();
+    renderGeofenceLayers();
+    initGeofenceControl();
+
+    document.getElementById('closeGeofenceBtn').addEventListener('click', closeGeofenceModal);
+    document.getElementById('doneGeofenceBtn').addEventListener('click', closeGeofenceModal);
+    document.getElementById('drawZoneBtn').addEventListener('click', startZoneDrawing);
+    document.getElementById('saveZoneBtn').addEventListener('click', saveZoneDetails);
+    document.getElementById('cancelZoneEditBtn').addEventListener('click', () => resetZoneForm());
+    document.getElementById('clearZoneEventsBtn').addEventListener('click', clearGeofenceEvents);
+    document.getElementById('finishDrawBtn').addEventListener('click', finishZoneDrawing);
+    document.getElementById('cancelDrawBtn').addEventListener('click', cancelZoneDrawing);
+}
 
-            // Only track swipes to the left (negative diff) and past tap threshold
-            if (diffX < -tapThreshold) {
-                // Limit the swipe to 240px max
-                const limitedDiff = Math.max(diffX, -240);
-                deviceItem.style.transform = `translateX(${limitedDiff}px)`;
-                actionsPanel.style.right = `${-240 + Math.abs(limitedDiff)}px`;
-            }
+function openGeofenceModal() {
+    resetZoneForm();
+    renderZoneList();
+    renderGeofenceEvents();
+    document.getElementById('geofenceModal').classList.add('active');
+}
+
+function closeGeofenceModal() {
+    document.getElementById('geofenceModal').classList.remove('active');
+}
+
+function renderZoneList() {
+    const list = document.getElementById('zoneList');
+    if (geofences.zones.length === 0) {
+        list.innerHTML = '<div class="zone-empty">No zones yet. Name one below and draw it on the map.</div>';
+        return;
+    }
+
+    list.innerHTML = geofences.zones.map(zone => {
+        const names = zone.accessoryIds
+            .map(id => state.accessories.find(a => a.id === id))
+            .filter(Boolean)
+            .map(a => `${getDisplayIcon(a)} ${escapeXml(a.name)}`);
+        const shape = zone.type === 'circle' ? `Circle · ${Math.round(zone.radius)} m` : `Polygon · ${zone.points.length} corners`;
+        return `
+            <div class="zone-item">
+                <div class="zone-item-info" onclick="editZone('${zone.id}')">
+                    <div class="zone-item-name">${escapeXml(zone.name)}</div>
+                    <div class="zone-item-meta">${shape} · ${names.length > 0 ? names.join(', ') : 'No devices'}</div>
+                </div>
+                <button type="button" class="close-btn" onclick="deleteZone('${zone.id}')" title="Delete zone">&times;</button>
+            </div>
+        `;
+    }).join('');
+}
+
+function renderZoneDeviceCheckboxes(selectedIds) {
+    const container = document.getElementById('zoneDevices');
+    if (state.accessories.length === 0) {
+        container.innerHTML = '<div class="zone-empty">Add a device first</div>';
+        return;
+    }
+
+    container.innerHTML = state.accessories.map(a => `
+        <label class="zone-device">
+            <input type="checkbox" value="${a.id}" ${selectedIds.includes(a.id) ? 'checked' : ''}>
+            <span>${getDisplayIcon(a)} ${escapeXml(a.name)}</span>
+        </label>
+    `).join('');
+}
+
+function getZoneFormDeviceIds() {
+    return [...document.querySelectorAll('#zoneDevices input:checked')].map(input => input.value);
+}
+
+function resetZoneForm() {
+    geofences.editingZoneId = null;
+    document.getElementById('zoneFormTitle').textContent = 'New Zone';
+    document.getElementById('zoneName').value = '';
+    document.getElementById('zoneType').value = 'circle';
+    document.getElementById('drawZoneBtn').textContent = 'Draw on Map';
+    document.getElementById('saveZoneBtn').style.display = 'none';
+    document.getElementById('cancelZoneEditBtn').style.display = 'none';
+    renderZoneDeviceCheckboxes([]);
+}
+
+function editZone(zoneId) {
+    const zone = geofences.zones.find(z => z.id === zoneId);
+    if (!zone) return;
+
+    geofences.editingZoneId = zoneId;
+    document.getElementById('zoneFormTitle').textContent = `Edit ${zone.name}`;
+    document.getElementById('zoneName').value = zone.name;
+    document.getElementById('zoneType').value = zone.type;
+    document.getElementById('drawZoneBtn').textContent = 'Redraw';
+    document.getElementById('saveZoneBtn').style.display = '';
+    document.getElementById('cancelZoneEditBtn').style.display = '';
+    renderZoneDeviceCheckboxes(zone.accessoryIds);
+
+    // Show the zone on the map behind the dialog
+    const layer = zone.type === 'circle' ? L.circle(zone.center, { radius: zone.radius }) : L.polygon(zone.points);
+    state.map.fitBounds(layer.getBounds().pad(0.3));
+}
+
+// Save the name and devices of the zone being edited, keeping its shape
+function saveZoneDetails() {
+    const zone = geofences.zones.find(z => z.id === geofences.editingZoneId);
+    if (!zone) return;
+
+    const name = document.getElementById('zoneName').value.trim();
+    if (!name) {
+        showToast('Please name the zone', 'error');
+        return;
+    }
+
+    zone.name = name;
+    applyZoneAccessories(zone, getZoneFormDeviceIds());
+    saveGeofences();
+    renderGeofenceLayers();
+    renderZoneList();
+    resetZoneForm();
+    showToast('Zone saved', 'success');
+}
+
+// Attach devices to a zone; newly attached devices get their current state without alerts
+function applyZoneAccessories(zone, accessoryIds) {
+    const added = accessoryIds.filter(id => !zone.accessoryIds.includes(id));
+    zone.accessoryIds.filter(id => !accessoryIds.includes(id))
+        .forEach(id => delete geofences.zoneStates[zoneStateKey(zone.id, id)]);
+    zone.accessoryIds = accessoryIds;
+
+    if (added.length > 0) {
+        const zoneForAdded = { ...zone, accessoryIds: added };
+        evaluateGeofences(state.locations, { zones: [zoneForAdded], record: false });
+    }
+}
+
+function deleteZone(zoneId) {
+    const zone = geofences.zones.find(z => z.id === zoneId);
+    if (!zone || !confirm(`Delete zone "${zone.name}"?`)) return;
+
+    geofences.zones = geofences.zones.filter(z => z.id !== zoneId);
+    Object.keys(geofences.zoneStates)
+        .filter(key => key.startsWith(zoneId + '|'))
+        .forEach(key => delete geofences.zoneStates[key]);
+    saveGeofences();
+    renderGeofenceLayers();
+    renderZoneList();
+    if (geofences.editingZoneId === zoneId) resetZoneForm();
+}
+
+function renderGeofenceEvents() {
+    const container = document.getElementById('zoneEvents');
+    if (geofences.events.length === 0) {
+        container.innerHTML = '<div class="zone-empty">No enter/exit events yet</div>';
+        return;
+    }
+
+    container.innerHTML = geofences.events.slice(0, 100).map(event => `
+        <div class="zone-event ${event.type}">
+            <span class="zone-event-type">${event.type === 'enter' ? 'Entered' : 'Left'}</span>
+            <span class="zone-event-text">${escapeXml(event.accessoryName)} · ${escapeXml(event.zoneName)}</span>
+            <span class="zone-event-time">${formatTimelineDate(event.timestamp)}</span>
+        </div>
+    `).join('');
+}
+
+function clearGeofenceEvents() {
+    geofences.events = [];
+    saveGeofences();
+    renderGeofenceEvents();
+}
+
+// Drop a deleted device from every zone
+function removeAccessoryFromZones(accessoryId) {
+    geofences.zones.forEach(zone => {
+        zone.accessoryIds = zone.accessoryIds.filter(id => id !== accessoryId);
+        delete geofences.zoneStates[zoneStateKey(zone.id, accessoryId)];
+    });
+    saveGeofences();
+}
+
+// ---- Drawing zones on the map ----
+
+function startZoneDrawing() {
+    const name = document.getElementById('zoneName').value.trim();
+    if (!name) {
+        showToast('Please name the zone', 'error');
+        return;
+    }
+
+    geofences.pendingZone = {
+        id: geofences.editingZoneId,
+        name,
+        type: document.getElementById('zoneType').value,
+        accessoryIds: getZoneFormDeviceIds()
+    };
+    geofences.drawing = { type: geofences.pendingZone.type, points: [], previewLayer: null };
+
+    closeGeofenceModal();
+    requestNotificationPermission();
+
+    setDrawHint(geofences.drawing.type === 'circle'
+        ? 'Tap the centre of the zone'
+        : 'Tap to add corners, then Finish');
+    document.getElementById('finishDrawBtn').style.display = geofences.drawing.type === 'polygon' ? '' : 'none';
+    document.getElementById('drawHint').classList.add('active');
+
+    state.map.doubleClickZoom.disable();
+    state.map.on('click', handleZoneDrawClick);
+    state.map.on('mousemove', handleZoneDrawMove);
+}
+
+function setDrawHint(text) {
+    document.getElementById('drawHintText').textContent = text;
+}
+
+function handleZoneDrawClick(e) {
+    const drawing = geofences.drawing;
+    const point = [e.latlng.lat, e.latlng.lng];
+
+    if (drawing.type === 'circle') {
+        if (drawing.points.length === 0) {
+            drawing.points.push(point);
+            setDrawHint('Tap the edge of the zone');
+            updateZoneDrawPreview(e.latlng);
+        } else {
+            const center = drawing.points[0];
+            const radius = Math.max(10, distanceMeters(center[0], center[1], point[0], point[1]));
+            completeZoneDrawing({ center, radius });
         }
+        return;
+    }
 
-        function onEnd(e) {
-            // Cancel long press timer
-            if (longPressTimer) {
-                clearTimeout(longPressTimer);
-                longPressTimer = null;
-            }
+    drawing.points.push(point);
+    updateZoneDrawPreview(e.latlng);
+}
 
-            // Reset gesture flags
-            isGestureActive = false;
-            isHorizontalSwipe = false;
+function handleZoneDrawMove(e) {
+    if (geofences.drawing && geofences.drawing.points.length > 0) {
+        updateZoneDrawPreview(e.latlng);
+    }
+}
 
-            // If it was just a tap (no significant movement), don't do anything - let the click handler work
-            if (!hasMoved) {
-                deviceItem.style.transform = '';
-                return;
-            }
+function updateZoneDrawPreview(cursorLatLng) {
+    const drawing = geofences.drawing;
+    if (drawing.previewLayer) {
+        state.map.removeLayer(drawing.previewLayer);
+    }
 
-            const currentX = e.type.includes('mouse') ? e.clientX : e.changedTouches?.[0]?.clientX || startX;
-            const diff = currentX - startX;
+    const style = { color: GEOFENCE_COLOR, weight: 2, dashArray: '6 4', fillOpacity: 0.1 };
+    if (drawing.type === 'circle') {
+        const center = drawing.points[0];
+        const radius = distanceMeters(center[0], center[1], cursorLatLng.lat, cursorLatLng.lng);
+        drawing.previewLayer = L.circle(center, { ...style, radius }).addTo(state.map);
+    } else {
+        const points = [...drawing.points, [cursorLatLng.lat, cursorLatLng.lng]];
+        drawing.previewLayer = L.polygon(points, style).addTo(state.map);
+    }
+}
 
-            // If swiped left far enough, reveal action buttons
-            if (diff < -swipeThreshold) {
-                wrapper.classList.add('delete-visible');
-            } else {
-                // Reset
-                deviceItem.style.transition = 'transform 0.3s ease';
-                actionsPanel.style.transition = 'right 0.3s ease';
-                deviceItem.style.transform = '';
-                actionsPanel.style.right = '';
-                wrapper.classList.remove('delete-visible');
-            }
+function finishZoneDrawing() {
+    const drawing = geofences.drawing;
+    if (!drawing) return;
+
+    if (drawing.points.length < 3) {
+        showToast('A polygon needs at least 3 corners', 'error');
+        return;
+    }
+    completeZoneDrawing({ points: drawing.points });
+}
+
+function completeZoneDrawing(shape) {
+    const pending = geofences.pendingZone;
+    stopZoneDrawing();
+
+    let zone = geofences.zones.find(z => z.id === pending.id);
+    if (!zone) {
+        zone = { id: 'zone-' + Date.now().toString(36), accessoryIds: [] };
+        geofences.zones.push(zone);
+    }
+
+    // A new shape means every device's state has to be worked out again
+    zone.accessoryIds.forEach(id => delete geofences.zoneStates[zoneStateKey(zone.id, id)]);
+    zone.accessoryIds = [];
+
+    zone.name = pending.name;
+    zone.type = pending.type;
+    zone.center = shape.center || null;
+    zone.radius = shape.radius || null;
+    zone.points = shape.points || null;
+    applyZoneAccessories(zone, pending.accessoryIds);
+
+    saveGeofences();
+    renderGeofenceLayers();
+    showToast(`Zone "${zone.name}" saved`, 'success');
+    openGeofenceModal();
+}
+
+function cancelZoneDrawing() {
+    stopZoneDrawing();
+    openGeofenceModal();
+}
+
+function stopZoneDrawing() {
+    if (geofences.drawing?.previewLayer) {
+        state.map.removeLayer(geofences.drawing.previewLayer);
+    }
+    geofences.drawing = null;
+
+    state.map.off('click', handleZoneDrawClick);
+    state.map.off('mousemove', handleZoneDrawMove);
+    state.map.doubleClickZoom.enable();
+    document.getElementById('drawHint').classList.remove('active');
+}
+
+// ============================================
+// ALERT RULES
+// ============================================
+
+// Per-device rules stored on the accessory as
+// accessory.alerts = { battery: 'low'|'critical'|null, staleHours, moveMeters }.
+// Each condition is remembered in alerts.active while it holds, so it alerts
+// once instead of on every auto-refresh tick.
+const ALERT_HISTORY_LIMIT = 200;
+const BATTERY_RANK = { ok: 0, medium: 1, low: 2, critical: 3 };
+
+const alerts = {
+    history: [],   // newest first: { id, accessoryId, accessoryName, rule, message, timestamp, read }
+    active: {},    // 'accessoryId|rule' -> value the condition last alerted for
+    anchors: {}    // accessoryId -> { lat, lng, accuracy, timestamp } where the device last rested
+};
+
+function loadAlerts() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('haystackAlerts') || '{}');
+        alerts.history = saved.history || [];
+        alerts.active = saved.active || {};
+        alerts.anchors = saved.anchors || {};
+    } catch (e) {
+        console.error('Failed to load alerts:', e);
+    }
+}
+
+function saveAlerts() {
+    localStorage.setItem('haystackAlerts', JSON.stringify({
+        history: alerts.history,
+        active: alerts.active,
+        anchors: alerts.anchors
+    }));
+}
+
+function hasAlertRules(accessory) {
+    const rules = accessory.alerts || {};
+    return Boolean(rules.battery || rules.staleHours > 0 || rules.moveMeters > 0);
+}
+
+// Check every device's rules against the current locations
+function evaluateAlertRules() {
+    const fired = [];
+    const now = Date.now();
+
+    state.accessories.forEach(accessory => {
+        // A paused device is never fetched, so it would only ever look stale
+        if (!accessory.active) {
+            Object.keys(alerts.active)
+                .filter(key => key.startsWith(accessory.id + '|'))
+                .forEach(key => delete alerts.active[key]);
+            return;
         }
 
-        // Touch events
-        wrapper.addEventListener('touchstart', onStart, { passive: true });
-        wrapper.addEventListener('touchmove', onMove, { passive: false });
-        wrapper.addEventListener('touchend', onEnd);
-        wrapper.addEventListener('touchcancel', onEnd);
+        const rules = accessory.alerts || {};
+        const locations = state.locations
+            .filter(l => l.accessoryId === accessory.id)
+            .sort((a, b) => a.timestamp - b.timestamp);
+        const latest = locations[locations.length - 1];
+        if (!latest) return;
 
-        // Mouse events (for desktop testing)
-        wrapper.addEventListener('mousedown', onStart);
-        wrapper.addEventListener('mousemove', onMove);
-        wrapper.addEventListener('mouseup', onEnd);
+        const batteryAlert = checkBatteryRule(accessory, rules, latest);
+        if (batteryAlert) fired.push(batteryAlert);
 
-        // Click handler - close action panel when clicking on device item, but allow action button clicks
-        wrapper.addEventListener('click', (e) => {
-            const actionButton = e.target.closest('.device-item-actions > div');
-            if (actionButton) {
-                // Let the action button's onclick handle it
+        const staleAlert = checkStaleRule(accessory, rules, latest, now);
+        if (staleAlert) fired.push(staleAlert);
+
+        const moveAlert = checkMovementRule(accessory, rules, locations);
+        if (moveAlert) fired.push(moveAlert);
+    });
+
+    if (fired.length > 0) {
+        alerts.history = fired.reverse().concat(alerts.history).slice(0, ALERT_HISTORY_LIMIT);
+        fired.forEach(alert => {
+            showToast(alert.message, 'warning');
+            showBrowserNotification(alert.message, alert.detail, `alert-${alert.accessoryId}-${alert.rule}`);
+        });
+    }
+    saveAlerts();
+    updateAlertBadge();
+}
+
+function createAlert(accessory, rule, message, detail) {
+    return {
+        id: `${Date.now().toString(36)}-${rule}-${accessory.id}`,
+        accessoryId: accessory.id,
+        accessoryName: accessory.name,
+        rule,
+        message: `${getDisplayIcon(accessory)} ${message}`,
+        detail,
+        timestamp: Date.now(),
+        read: false
+    };
+}
+
+// Fires when the battery first reaches the threshold, and again if it gets worse
+function checkBatteryRule(accessory, rules, latest) {
+    const key = `${accessory.id}|battery`;
+    const rank = BATTERY_RANK[latest.batteryStatus];
+
+    if (!rules.battery || rank === undefined || rank < BATTERY_RANK[rules.battery]) {
+        delete alerts.active[key];
+        return null;
+    }
+
+    const previous = alerts.active[key];
+    alerts.active[key] = latest.batteryStatus;
+    if (previous && BATTERY_RANK[previous] >= rank) return null;
+
+    return createAlert(accessory, 'battery', `${accessory.name} battery is ${latest.batteryStatus}`,
+        `Reported ${formatTimeAgo(latest.timestamp)}`);
+}
+
+// Fires once per silence; a new report clears it
+function checkStaleRule(accessory, rules, latest, now) {
+    const key = `${accessory.id}|stale`;
+
+    if (!(rules.staleHours > 0) || now - latest.timestamp < rules.staleHours * 3600000) {
+        delete alerts.active[key];
+        return null;
+    }
+
+    if (alerts.active[key] === latest.timestamp) return null;
+    alerts.active[key] = latest.timestamp;
+
+    return createAlert(accessory, 'stale', `${accessory.name} has not reported for ${rules.staleHours} h`,
+        `Last seen ${formatTimelineDate(latest.timestamp)}`);
+}
+
+/**
+ * Fires when a resting device shows up further than moveMeters from where it
+ * rested. The accuracy of both fixes is added to the threshold so position
+ * noise does not look like movement. The device counts as resting again once
+ * two consecutive reports are within the threshold of each other.
+ */
+function checkMovementRule(accessory, rules, locations) {
+    const key = `${accessory.id}|move`;
+
+    if (!(rules.moveMeters > 0)) {
+        delete alerts.active[key];
+        delete alerts.anchors[accessory.id];
+        return null;
+    }
+
+    // anchor: where the device rests; anchor.last: the previous report; anchor.timestamp: newest report checked
+    let anchor = alerts.anchors[accessory.id];
+    const fresh = anchor ? locations.filter(l => l.timestamp > anchor.timestamp) : locations.slice(-1);
+    let alert = null;
+
+    const beyond = (a, b) => distanceMeters(a.lat, a.lng, b.lat, b.lng) - Math.max(a.accuracy, b.accuracy) > rules.moveMeters;
+
+    fresh.forEach(loc => {
+        const point = { lat: loc.lat, lng: loc.lng, accuracy: loc.accuracy || 0 };
+        if (!anchor) {
+            anchor = { ...point, timestamp: loc.timestamp, last: point };
+            return;
+        }
+        const last = anchor.last || anchor;
+
+        if (beyond(anchor, point)) {
+            if (!alerts.active[key]) {
+                const distance = distanceMeters(anchor.lat, anchor.lng, loc.lat, loc.lng);
+                alerts.active[key] = loc.timestamp;
+                alert = createAlert(accessory, 'move', `${accessory.name} moved ${formatDistance(distance)}`,
+                    `Seen ${formatTimelineDate(loc.timestamp)}`);
+            } else if (!beyond(last, point)) {
+                // Settled somewhere new: rest there, so the next move alerts again
+                anchor = { ...point, timestamp: loc.timestamp, last: point };
+                delete alerts.active[key];
                 return;
             }
-            // If clicking on the device item and actions are visible, close them
-            if (e.target.closest('.device-item') && wrapper.classList.contains('delete-visible')) {
-                wrapper.classList.remove('delete-visible');
-                deviceItem.style.transition = 'transform 0.3s ease';
-                actionsPanel.style.transition = 'right 0.3s ease';
-                deviceItem.style.transform = '';
-                actionsPanel.style.right = '';
-                e.stopPropagation();
-            }
-        });
+        } else {
+            // Back within reach of the resting position, which stays where it was
+            delete alerts.active[key];
+        }
+        anchor = { ...anchor, timestamp: loc.timestamp, last: point };
     });
+
+    alerts.anchors[accessory.id] = anchor;
+    return alert;
 }
 
-function deleteAccessory(id) {
-    if (confirm('Are you sure you want to delete this accessory?')) {
-        state.accessories = state.accessories.filter(a => a.id !== id);
-        saveAccessories();
-        showToast('Accessory deleted', 'success');
+function updateAlertBadge() {
+    const unread = alerts.history.filter(a => !a.read).length;
+    const badge = document.getElementById('alertBadge');
+    badge.textContent = unread > 99 ? '99+' : unread;
+    badge.classList.toggle('visible', unread > 0);
+
+    // Installed PWAs can show the count on the app icon
+    if ('setAppBadge' in navigator) {
+        (unread > 0 ? navigator.setAppBadge(unread) : navigator.clearAppBadge()).catch(() => {});
+    }
+}
+
+function openAlertsModal() {
+    renderAlertHistory();
+    document.getElementById('alertsModal').classList.add('active');
+
+    alerts.history.forEach(a => { a.read = true; });
+    saveAlerts();
+    updateAlertBadge();
+}
+
+function closeAlertsModal() {
+    document.getElementById('alertsModal').classList.remove('active');
+}
+
+function renderAlertHistory() {
+    const container = document.getElementById('alertHistory');
+    if (alerts.history.length === 0) {
+        container.innerHTML = '<div class="alert-empty">No alerts yet. Set alert rules when editing a device.</div>';
+        return;
     }
+
+    container.innerHTML = alerts.history.map(alert => `
+        <div class="alert-item ${alert.read ? '' : 'unread'}">
+            <div class="alert-item-message">${escapeXml(alert.message)}</div>
+            <div class="alert-item-meta">${formatTimelineDate(alert.timestamp)}${alert.detail ? ' · ' + escapeXml(alert.detail) : ''}</div>
+        </div>
+    `).join('');
 }
 
-function showDeviceHistory(id) {
-    selectDevice(id);
-    showDevicePath();
+function clearAlertHistory() {
+    alerts.history = [];
+    saveAlerts();
+    renderAlertHistory();
+    updateAlertBadge();
+}
+
+// Forget rule state for a deleted device
+function removeAccessoryAlerts(accessoryId) {
+    Object.keys(alerts.active)
+        .filter(key => key.startsWith(accessoryId + '|'))
+        .forEach(key => delete alerts.active[key]);
+    delete alerts.anchors[accessoryId];
+    saveAlerts();
+}
+
+function initAlerts() {
+    loadAlerts();
+    updateAlertBadge();
+
+    document.getElementById('alertsBtn').addEventListener('click', openAlertsModal);
+    document.getElementById('closeAlertsBtn').addEventListener('click', closeAlertsModal);
+    document.getElementById('doneAlertsBtn').addEventListener('click', closeAlertsModal);
+    document.getElementById('clearAlertsBtn').addEventListener('click', clearAlertHistory);
+}
+
+// ============================================
+// REPORT HEALTH
+// ============================================
+
+// How well each device is being reported (analyzeReportHealth in analysis.js),
+// shown as a dot in the devices list and in detail from the detail panel
+const healthView = {
+    accessoryId: null
+};
+
+// Health over the fetch window
+function getDeviceHealth(accessoryId) {
+    const locations = getDeviceLocations(accessoryId);
+    const now = Date.now();
+    return analyzeReportHealth(locations, { from: now - state.settings.daysToFetch * 86400000, to: now });
+}
+
+function getHealthDotHtml(health) {
+    const title = health.level === 'none' ? 'No reports' : `Report health ${health.score}/100`;
+    return `<span class="health-dot ${health.level}" title="${title}"></span>`;
+}
+
+function openHealthModal(accessoryId) {
+    const accessory = state.accessories.find(a => a.id === accessoryId);
+    if (!accessory) return;
+
+    healthView.accessoryId = accessoryId;
+    document.getElementById('healthDeviceName').textContent = accessory.name;
+    renderReportHealth();
+    document.getElementById('healthModal').classList.add('active');
+}
+
+function closeHealthModal() {
+    document.getElementById('healthModal').classList.remove('active');
+    healthView.accessoryId = null;
+}
+
+function renderReportHealth() {
+    const accessoryId = healthView.accessoryId;
+    const locations = getDeviceLocations(accessoryId);
+    const health = getDeviceHealth(accessoryId);
+    const now = Date.now();
+    const days = state.settings.daysToFetch;
+
+    const levelNames = { good: 'Healthy', fair: 'Patchy', poor: 'Poor', none: 'No reports' };
+    document.getElementById('healthScore').innerHTML = `
+        ${getHealthDotHtml(health)}
+        <strong>${levelNames[health.level]}${health.level === 'none' ? '' : ` · ${health.score}/100`}</strong>
+        <span>${health.count} report${health.count !== 1 ? 's' : ''} in ${days} days · ${health.lastSeen ? `last ${formatTimeAgo(health.lastSeen)}` : 'never seen'} · ${Math.round(health.coverage * 100)}% of hours covered</span>
+    `;
+
+    // Per hour over the last two days, or per day over the window
+    const byHour = document.getElementById('healthBucket').value === 'hour';
+    const bucketMs = byHour ? 3600000 : 86400000;
+    const from = byHour ? now - 48 * 3600000 : new Date(now - (days - 1) * 86400000).setHours(0, 0, 0, 0);
+    const buckets = reportHistogram(locations, bucketMs, from, now);
+    document.getElementById('healthHistogram').innerHTML = buildHistogramSvg(buckets) + `
+        <div class="battery-chart-range">
+            <span>${formatTimelineDate(from)}</span>
+            <span>Now</span>
+        </div>
+    `;
+
+    document.getElementById('healthGaps').innerHTML = health.gaps.length === 0
+        ? '<div class="detail-section-empty">No reports in this window</div>'
+        : health.gaps.map(gap => `
+            <div class="health-row">
+                <span>${formatTimelineDate(gap.from)} – ${gap.ongoing ? 'now' : formatTimelineDate(gap.to)}</span>
+                <strong>${formatDuration(gap.duration)}</strong>
+            </div>
+        `).join('');
+
+    document.getElementById('healthDelay').innerHTML = health.medianDelay === null
+        ? '<div class="detail-section-empty">No publish times recorded yet</div>'
+        : `
+            <div class="health-row">
+                <span>Median seen → published</span>
+                <strong>${formatDuration(health.medianDelay)}</strong>
+            </div>
+            <small style="display: block; opacity: 0.7;">From ${health.delaySamples} report${health.delaySamples !== 1 ? 's' : ''} with a publish time</small>
+        `;
+
+    const confidenceValues = Object.keys(health.confidence).sort((a, b) => a - b);
+    document.getElementById('healthConfidence').innerHTML = confidenceValues.length === 0
+        ? '<div class="detail-section-empty">No reports in this window</div>'
+        : confidenceValues.map(value => {
+            const count = health.confidence[value];
+            return `
+                <div class="health-row">
+                    <span class="health-confidence-label">${value}</span>
+                    <div class="stay-place-bar"><div style="width: ${Math.round(count / health.count * 100)}%"></div></div>
+                    <strong>${count}</strong>
+                </div>
+            `;
+        }).join('');
 }
 
-function navigateToDevice(id) {
-    const latestLoc = state.locations
-        .filter(l => l.accessoryId === id)
-        .sort((a, b) => b.timestamp - a.timestamp)[0];
+function buildHistogramSvg(buckets) {
+    const width = 300;
+    const height = 60;
+    const max = Math.max(...buckets.map(b => b.count), 1);
+    const barWidth = width / buckets.length;
 
-    if (!latestLoc) {
-        showToast('No location data for this device', 'error');
-        return;
-    }
+    const bars = buckets.map((bucket, i) => {
+        const barHeight = bucket.count / max * (height - 2);
+        return `<rect x="${(i * barWidth + barWidth * 0.1).toFixed(1)}" y="${(height - barHeight).toFixed(1)}" width="${(barWidth * 0.8).toFixed(1)}" height="${barHeight.toFixed(1)}"><title>${formatTimelineDate(bucket.start)}: ${bucket.count}</title></rect>`;
+    }).join('');
 
-    // Open Apple Maps with directions to the device location
-    const url = `https://maps.apple.com/?daddr=${latestLoc.lat},${latestLoc.lng}&dirflg=d`;
-    window.open(url, '_blank');
+    return `
+        <svg class="health-histogram" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+            ${bars}
+        </svg>
+    `;
 }
 
 // ============================================
-// LOCATION FETCHING
+// BATTERY HISTORY
 // ============================================
 
-async function fetchLocations(isAutoRefresh = false) {
-    const days = state.settings.daysToFetch;
-    const activeAccessories = state.accessories.filter(a => a.active);
+// Reports only carry a coarse level (ok, medium, low, critical), so the history
+// is kept as runs of one level per device. It lives in localStorage rather than
+// the location history so it outlasts the retention window.
+const BATTERY_LEVELS = ['ok', 'medium', 'low', 'critical'];
+const BATTERY_HISTORY_LIMIT = 200; // runs kept per device
 
-    if (activeAccessories.length === 0) {
-        if (!isAutoRefresh) {
-            showToast('No active devices to fetch', 'warning');
-        }
-        return;
-    }
+const batteryHistory = {
+    runs: {}   // accessoryId -> [{ level, from, to }], oldest first
+};
 
+function loadBatteryHistory() {
     try {
-        const allLocations = [];
+        batteryHistory.runs = JSON.parse(localStorage.getItem('haystackBatteryHistory') || '{}');
+    } catch (e) {
+        console.error('Failed to load battery history:', e);
+    }
+}
 
-        for (const accessory of activeAccessories) {
-            try {
-                const hashedKey = await getHashedAdvertisementKey(accessory.privateKey);
-                const reports = await fetchLocationReportsFromEndpoint([hashedKey], days);
+function saveBatteryHistory() {
+    localStorage.setItem('haystackBatteryHistory', JSON.stringify(batteryHistory.runs));
+}
 
-                for (const report of reports) {
-                    try {
-                        const decrypted = await decryptReport(report, accessory.privateKey);
-                        allLocations.push({
-                            accessoryId: accessory.id,
-                            accessoryName: accessory.name,
-                            lat: decrypted.latitude,
-                            lng: decrypted.longitude,
-                            timestamp: decrypted.timestamp.getTime(),
-                            accuracy: decrypted.accuracy,
-                            confidence: decrypted.confidence,
-                            batteryStatus: decrypted.batteryStatus
-                        });
-                    } catch (decryptError) {
-                        console.error(`Failed to decrypt report for ${accessory.name}:`, decryptError);
-                    }
-                }
-            } catch (deviceError) {
-                console.error(`Failed to fetch for ${accessory.name}:`, deviceError);
+function removeAccessoryBatteryHistory(accessoryId) {
+    delete batteryHistory.runs[accessoryId];
+    saveBatteryHistory();
+}
+
+// Extend each device's runs with newly merged reports
+function recordBatteryLevels(locations) {
+    let changed = false;
+
+    [...locations]
+        .filter(l => BATTERY_RANK[l.batteryStatus] !== undefined)
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .forEach(loc => {
+            const runs = batteryHistory.runs[loc.accessoryId] || (batteryHistory.runs[loc.accessoryId] = []);
+            const last = runs[runs.length - 1];
+
+            // Late-published reports inside what we already have add nothing
+            if (last && loc.timestamp <= last.to) return;
+
+            if (last && last.level === loc.batteryStatus) {
+                last.to = loc.timestamp;
+            } else {
+                runs.push({ level: loc.batteryStatus, from: loc.timestamp, to: loc.timestamp });
+                if (runs.length > BATTERY_HISTORY_LIMIT) runs.shift();
             }
-        }
+            changed = true;
+        });
 
-        allLocations.sort((a, b) => a.timestamp - b.timestamp);
+    if (changed) saveBatteryHistory();
+}
 
-        state.locations = allLocations;
-        state.lastFetchTime = Date.now();
-        updateMapMarkers();
-        renderDevicesList();
+/**
+ * How long a level lasted each time the battery moved on to a lower one,
+ * measured from the first report at the level to the first at the next
+ * @returns {Object} level -> array of durations (ms)
+ */
+function getBatteryLevelDurations(runs) {
+    const durations = {};
+    for (let i = 0; i < runs.length - 1; i++) {
+        if (BATTERY_RANK[runs[i + 1].level] <= BATTERY_RANK[runs[i].level]) continue;
+        (durations[runs[i].level] = durations[runs[i].level] || []).push(runs[i + 1].from - runs[i].from);
+    }
+    return durations;
+}
 
-        // Only show toast for manual refresh, not auto-refresh
-        if (!isAutoRefresh) {
-            showToast(`Fetched ${allLocations.length} location(s)`, 'success');
+function average(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Estimate when a device's battery reaches critical from how long it (or,
+ * failing that, the rest of the fleet) spent at each level
+ * @returns {Object|null} { level, since, eta, basis: 'device'|'fleet'|'critical' },
+ *   eta null when there is too little history to tell
+ */
+function forecastBattery(accessoryId) {
+    const runs = batteryHistory.runs[accessoryId];
+    if (!runs || runs.length === 0) return null;
+
+    const current = runs[runs.length - 1];
+    if (current.level === 'critical') {
+        return { level: current.level, since: current.from, eta: current.from, basis: 'critical' };
+    }
+
+    const own = getBatteryLevelDurations(runs);
+    const fleet = {};
+    Object.entries(batteryHistory.runs).forEach(([id, otherRuns]) => {
+        if (id === accessoryId) return;
+        Object.entries(getBatteryLevelDurations(otherRuns)).forEach(([level, values]) => {
+            (fleet[level] = fleet[level] || []).push(...values);
+        });
+    });
+
+    let basis = 'device';
+    let remaining = 0;
+    for (let rank = BATTERY_RANK[current.level]; rank < BATTERY_RANK.critical; rank++) {
+        const level = BATTERY_LEVELS[rank];
+        let expected;
+        if (own[level]) {
+            expected = average(own[level]);
+        } else if (fleet[level]) {
+            expected = average(fleet[level]);
+            basis = 'fleet';
         } else {
-            console.log(`Auto-refresh: ${allLocations.length} location(s)`);
+            return { level: current.level, since: current.from, eta: null, basis: null };
         }
 
-        if (allLocations.length > 0) {
-            const group = new L.featureGroup(state.markers);
-            state.map.fitBounds(group.getBounds().pad(0.1));
-        }
-    } catch (error) {
-        console.error('Error fetching locations:', error);
-        if (!isAutoRefresh) {
-            showToast(`Failed to fetch: ${error.message}`, 'error');
-        }
+        // Time already spent at the current level counts towards it
+        remaining += rank === BATTERY_RANK[current.level]
+            ? Math.max(expected - (Date.now() - current.from), 0)
+            : expected;
     }
+
+    return { level: current.level, since: current.from, eta: Date.now() + remaining, basis };
 }
 
-function updateMapMarkers() {
-    state.markers.forEach(marker => state.map.removeLayer(marker));
-    state.markers = [];
+function formatBatteryForecast(forecast) {
+    if (!forecast) return 'No battery reports yet';
+    if (forecast.basis === 'critical') return `Critical since ${formatTimelineDate(forecast.since)}`;
+    if (forecast.eta === null) return 'Not enough history to forecast';
+    const remaining = forecast.eta - Date.now();
+    if (remaining < 86400000) return 'Critical any time now';
+    return `Critical in ~${Math.round(remaining / 86400000)} days${forecast.basis === 'fleet' ? ' (fleet average)' : ''}`;
+}
 
-    if (state.locations.length === 0) return;
+// Step chart of a device's battery level in the detail panel
+function renderBatteryChart(accessoryId) {
+    const container = document.getElementById('batteryHistory');
+    const runs = batteryHistory.runs[accessoryId] || [];
+    container.style.display = '';
 
-    const locationsByAccessory = {};
-    state.locations.forEach(loc => {
-        if (!locationsByAccessory[loc.accessoryId]) {
-            locationsByAccessory[loc.accessoryId] = [];
-        }
-        locationsByAccessory[loc.accessoryId].push(loc);
+    if (runs.length === 0) {
+        container.innerHTML = `
+            <div class="detail-section-title">Battery</div>
+            <div class="detail-section-empty">No battery reports yet</div>
+        `;
+        return;
+    }
+
+    const width = 300;
+    const height = 64;
+    const start = runs[0].from;
+    const end = Math.max(Date.now(), runs[runs.length - 1].to);
+    const x = t => ((t - start) / Math.max(end - start, 1) * width).toFixed(1);
+    const y = level => (4 + BATTERY_RANK[level] * (height - 8) / 3).toFixed(1);
+
+    // Each run holds its level until the next one starts; the last until now
+    let path = `M ${x(start)} ${y(runs[0].level)}`;
+    runs.forEach((run, i) => {
+        const next = runs[i + 1];
+        path += ` V ${y(run.level)} H ${x(next ? next.from : end)}`;
     });
 
-    Object.entries(locationsByAccessory).forEach(([accessoryId, locations]) => {
-        const accessory = state.accessories.find(a => a.id === accessoryId);
-        if (!accessory) return;
+    const forecast = forecastBattery(accessoryId);
+    container.innerHTML = `
+        <div class="detail-section-title">Battery <span>${formatBatteryForecast(forecast)}</span></div>
+        <div class="battery-chart">
+            <div class="battery-chart-levels">${BATTERY_LEVELS.map(level => `<span>${level}</span>`).join('')}</div>
+            <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                ${BATTERY_LEVELS.map(level => `<line x1="0" x2="${width}" y1="${y(level)}" y2="${y(level)}" class="battery-chart-grid"></line>`).join('')}
+                <path d="${path}" fill="none" stroke="var(--primary)" stroke-width="2" vector-effect="non-scaling-stroke"></path>
+            </svg>
+        </div>
+        <div class="battery-chart-range">
+            <span>${formatTimelineDate(start)}</span>
+            <span>Now</span>
+        </div>
+    `;
+}
 
-        const latest = locations[locations.length - 1];
+function initBatteryHistory() {
+    loadBatteryHistory();
 
-        const icon = L.divIcon({
-            className: 'custom-marker',
-            html: `<div style="background: ${accessory.color}; width: 36px; height: 36px; border-radius: 50%; display: flex; align-items: center; justify-content: center; border: 3px solid white; box-shadow: 0 2px 8px rgba(0,0,0,0.3); font-size: 18px;">${getDisplayIcon(accessory)}</div>`,
-            iconSize: [36, 36],
-            iconAnchor: [18, 18]
-        });
+    document.getElementById('batteryBtn').addEventListener('click', openBatteryModal);
+    document.getElementById('closeBatteryBtn').addEventListener('click', closeBatteryModal);
+    document.getElementById('doneBatteryBtn').addEventListener('click', closeBatteryModal);
+}
 
-        const popupContent = `
-            <div class="custom-popup">
-                <div class="custom-popup-icon">${getDisplayIcon(accessory)}</div>
-                <div class="custom-popup-name">${accessory.name}</div>
-                <div class="custom-popup-time">${new Date(latest.timestamp).toLocaleString()}</div>
-                <div style="font-size: 12px; margin-top: 4px;">Accuracy: ±${latest.accuracy}m</div>
-                ${latest.batteryStatus ? `<div style="font-size: 12px;">Battery: ${latest.batteryStatus}</div>` : ''}
-            </div>
-        `;
+function openBatteryModal() {
+    renderBatteryReplacementList();
+    document.getElementById('batteryModal').classList.add('active');
+}
 
-        const marker = L.marker([latest.lat, latest.lng], { icon })
-            .addTo(state.map)
-            .on('click', () => {
-                selectDevice(accessoryId);
-                showDevicePath();
-            });
+function closeBatteryModal() {
+    document.getElementById('batteryModal').classList.remove('active');
+}
 
-        // Store device ID on marker for filtering
-        marker.deviceId = accessoryId;
-        marker.getDeviceId = () => accessoryId;
+// Fleet-wide list, soonest first; the ones due within the configured window are called out
+function renderBatteryReplacementList() {
+    const horizon = Date.now() + state.settings.batteryReplaceDays * 86400000;
+    const isDue = forecast => Boolean(forecast && forecast.eta !== null && forecast.eta <= horizon);
+    const rows = state.accessories
+        .map(accessory => ({ accessory, forecast: forecastBattery(accessory.id) }))
+        .sort((a, b) => (a.forecast?.eta ?? Infinity) - (b.forecast?.eta ?? Infinity));
+
+    const dueCount = rows.filter(row => isDue(row.forecast)).length;
+    document.getElementById('batterySummary').textContent = dueCount > 0
+        ? `${dueCount} batter${dueCount === 1 ? 'y' : 'ies'} to replace within ${state.settings.batteryReplaceDays} days`
+        : `No batteries expected to reach critical within ${state.settings.batteryReplaceDays} days`;
+
+    const list = document.getElementById('batteryList');
+    if (rows.length === 0) {
+        list.innerHTML = '<div class="alert-empty">No devices yet</div>';
+        return;
+    }
 
-        state.markers.push(marker);
-    });
+    list.innerHTML = rows.map(({ accessory, forecast }) => {
+        return `
+            <div class="battery-item${isDue(forecast) ? ' due' : ''}" onclick="closeBatteryModal(); selectDevice('${accessory.id}')">
+                <div class="battery-item-name">${getDisplayIcon(accessory)} ${escapeXml(accessory.name)}${getBatteryIconHtml(forecast?.level)}</div>
+                <div class="battery-item-meta">${formatBatteryForecast(forecast)}</div>
+            </div>
+        `;
+    }).join('');
 }
 
 // ============================================
-// IMPORT/EXPORT
+// DIAGNOSTICS
 // ============================================
 
-function colorComponentsToHex(components) {
-    const toHex = (val) => {
-        const num = val <= 1 ? Math.round(val * 255) : Math.round(val);
-        return num.toString(16).padStart(2, '0');
+// Per fetch run and key: what was asked for, what the endpoint answered and
+// where decryption failed. Kept in memory only; the export is redacted.
+const DIAGNOSTICS_MAX_RUNS = 10;
+const DIAGNOSTICS_MAX_FAILURES = 20; // failure samples kept per key
+
+const decryptStages = {
+    base64: 'Base64 decode',
+    ecdh: 'ECDH',
+    kdf: 'KDF',
+    'aes-gcm': 'AES-GCM tag mismatch',
+    payload: 'Payload decode',
+    unknown: 'Unknown'
+};
+
+const diagnostics = {
+    runs: [],          // newest first
+    currentRun: null
+};
+
+function startDiagnosticsRun(isAutoRefresh) {
+    diagnostics.currentRun = {
+        startedAt: Date.now(),
+        finishedAt: null,
+        auto: isAutoRefresh,
+        decryptMode: decryptPool.disabled ? 'main thread' : `${decryptPool.workers.length} worker(s)`,
+        error: null,
+        errorStatus: null,
+        keys: []       // { accessoryId, accessoryName, keyIndex, hashedKey, status, error, reports, fresh, decrypted, failed, failures }
     };
+    diagnostics.runs.unshift(diagnostics.currentRun);
+    diagnostics.runs.splice(DIAGNOSTICS_MAX_RUNS);
+}
 
-    if (components && components.length >= 3) {
-        const r = toHex(components[0]);
-        const g = toHex(components[1]);
-        const b = toHex(components[2]);
-        return `#${r}${g}${b}`.toUpperCase();
+function finishDiagnosticsRun() {
+    if (!diagnostics.currentRun) return;
+    diagnostics.currentRun.finishedAt = Date.now();
+    diagnostics.currentRun = null;
+    if (document.getElementById('diagnosticsModal').classList.contains('active')) {
+        renderDiagnostics();
     }
-    return '#3B82F6';
 }
 
-function deviceIdToHex(id) {
-    if (typeof id === 'number') {
-        return id.toString(16).toUpperCase().padStart(8, '0');
+function getDiagnosticsKey(entry) {
+    const run = diagnostics.currentRun;
+    if (!run) return null;
+
+    // Keys that could not be hashed have no identifier but their position
+    let record = run.keys.find(k => k.accessoryId === entry.accessory.id && (entry.hashedKey
+        ? k.hashedKey === entry.hashedKey
+        : !k.hashedKey && k.keyIndex === entry.keyIndex));
+    if (!record) {
+        record = {
+            accessoryId: entry.accessory.id,
+            accessoryName: entry.accessory.name,
+            keyIndex: entry.keyIndex,
+            hashedKey: entry.hashedKey,
+            status: null,
+            error: null,
+            reports: 0,
+            fresh: 0,
+            decrypted: 0,
+            failed: 0,
+            failures: []
+        };
+        run.keys.push(record);
     }
-    return id.toString();
+    return record;
 }
 
-function importDeviceJson(event) {
-    const file = event.target.files[0];
-    if (!file) return;
+// Merge request results ({ status, reports, fresh, error }) into the key's record
+function recordKeyFetch(entry, result) {
+    const record = getDiagnosticsKey(entry);
+    if (record) Object.assign(record, result);
+}
 
-    const reader = new FileReader();
-    reader.onload = (e) => {
-        try {
-            const data = JSON.parse(e.target.result);
-            const devices = Array.isArray(data) ? data : [data];
+function recordDecryptResult(entry, report = null, error = null) {
+    const record = getDiagnosticsKey(entry);
+    if (!record) return;
 
-            if (devices.length === 0) {
-                showToast('No devices found in file', 'error');
-                return;
-            }
+    if (!error) {
+        record.decrypted++;
+        return;
+    }
+    record.failed++;
+    if (record.failures.length < DIAGNOSTICS_MAX_FAILURES) {
+        record.failures.push({
+            stage: error.stage || 'unknown',
+            message: error.message,
+            datePublished: report?.datePublished || null
+        });
+    }
+}
 
-            const device = devices[0];
+function countRunFailures(run) {
+    return run.keys.reduce((sum, k) => sum + k.failed, 0);
+}
 
-            document.getElementById('accessoryName').value = device.name || '';
-            document.getElementById('accessoryId').value = deviceIdToHex(device.id);
-            document.getElementById('accessoryKey').value = device.privateKey || '';
+function openDiagnosticsModal() {
+    renderDiagnostics();
+    document.getElementById('diagnosticsModal').classList.add('active');
+}
 
-            const hexColor = colorComponentsToHex(device.colorComponents);
-            selectColor(hexColor);
+function closeDiagnosticsModal() {
+    document.getElementById('diagnosticsModal').classList.remove('active');
+}
 
-            // Set icon emoji based on old icon mapping (empty by default, user can choose)
-            const iconEmojiMap = {
-                'tag': '🏷️', 'key': '🔑', 'bag': '🎒',
-                'backpack': '🎒', 'bike': '🚲', 'bicycle': '🚲',
-                'car': '🚗', 'vehicle': '🚗', 'pet': '🐕', 'dog': '🐕', 'cat': '🐱'
-            };
-            // Leave the emoji field empty so user can choose their own
-            document.getElementById('accessoryIcon').value = '';
+function renderDiagnostics() {
+    const container = document.getElementById('diagnosticsRuns');
+    if (diagnostics.runs.length === 0) {
+        container.innerHTML = '<div class="alert-empty">No fetches yet this session. Refresh to record one.</div>';
+        return;
+    }
 
-            state.importedIsActive = device.isActive !== undefined ? device.isActive : true;
+    container.innerHTML = diagnostics.runs.map((run, i) => {
+        const totals = run.keys.reduce((t, k) => ({
+            reports: t.reports + k.reports,
+            decrypted: t.decrypted + k.decrypted,
+            failed: t.failed + k.failed
+        }), { reports: 0, decrypted: 0, failed: 0 });
+        const duration = run.finishedAt ? formatDuration(run.finishedAt - run.startedAt) : 'running';
+        const hasProblems = run.error || totals.failed > 0 || run.keys.some(k => k.error);
 
-            showToast(`Loaded "${device.name}" from device.json`, 'success');
+        return `
+            <details class="diagnostics-run${hasProblems ? ' problem' : ''}" ${i === 0 ? 'open' : ''}>
+                <summary>
+                    <strong>${formatTimelineDate(run.startedAt)}</strong>${run.auto ? ' · auto' : ''} · ${duration}
+                    <span>${totals.reports} returned · ${totals.decrypted} decrypted${totals.failed ? ` · ${totals.failed} failed` : ''}</span>
+                </summary>
+                ${run.error ? `<div class="diagnostics-error">${escapeXml(run.error)}</div>` : ''}
+                <div class="diagnostics-meta">Decryption: ${run.decryptMode}</div>
+                ${run.keys.map(renderDiagnosticsKey).join('')}
+            </details>
+        `;
+    }).join('');
+}
 
-            if (devices.length > 1) {
-                setTimeout(() => {
-                    if (confirm(`This file contains ${devices.length} devices. Import all of them?`)) {
-                        importAllDevices(devices);
-                    }
-                }, 500);
-            }
-        } catch (error) {
-            console.error('Import device.json error:', error);
-            showToast('Failed to parse device.json file', 'error');
-        }
-    };
-    reader.readAsText(file);
-    event.target.value = '';
+function renderDiagnosticsKey(record) {
+    // Failures grouped by stage, with the first message of each as a sample
+    const stages = {};
+    record.failures.forEach(f => {
+        stages[f.stage] = stages[f.stage] || { count: 0, message: f.message };
+        stages[f.stage].count++;
+    });
+
+    return `
+        <div class="diagnostics-key">
+            <div class="diagnostics-key-title">
+                ${escapeXml(record.accessoryName)}${record.keyIndex > 0 ? ` · key ${record.keyIndex + 1}` : ''}
+                <code title="${escapeXml(record.hashedKey || '')}">${record.hashedKey ? escapeXml(record.hashedKey.slice(0, 12)) + '…' : 'no key'}</code>
+            </div>
+            <div class="diagnostics-meta">
+                HTTP ${record.status ?? '–'} · ${record.reports} returned · ${record.fresh} new · ${record.decrypted} decrypted${record.failed ? ` · ${record.failed} failed` : ''}
+            </div>
+            ${record.error ? `<div class="diagnostics-error">${escapeXml(record.error)}</div>` : ''}
+            ${Object.entries(stages).map(([stage, info]) => `
+                <div class="diagnostics-error">${decryptStages[stage] || stage}: ${info.count}${record.failed > record.failures.length ? '+' : ''} · ${escapeXml(info.message)}</div>
+            `).join('')}
+        </div>
+    `;
 }
 
-async function importAllDevices(devices) {
-    let imported = 0;
+// Fixed category for an error message, so the export never carries response bodies
+function categorizeFetchError(message, status = null) {
+    if (!message) return null;
+    if (/^Invalid private key/.test(message)) return 'invalid-key';
+    if (status) return `http-${status}`;
+    if (/timed out/i.test(message)) return 'timeout';
+    if (/JSON|Unexpected token|Unexpected end/i.test(message)) return 'invalid-response';
+    if (/Failed to fetch|NetworkError|Load failed/i.test(message)) return 'network';
+    return 'other';
+}
 
-    for (const device of devices) {
-        try {
-            const accessory = {
-                id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
-                name: device.name || 'Unknown',
-                deviceId: deviceIdToHex(device.id),
-                privateKey: device.privateKey || '',
-                color: colorComponentsToHex(device.colorComponents),
-                icon: 'tag',
-                active: device.isActive !== undefined ? device.isActive : true,
-                createdAt: new Date().toISOString()
-            };
+// Bundle for bug reports: no keys, names, endpoint address or server responses,
+// only the shape of what happened
+function buildDiagnosticsBundle() {
+    const deviceLabels = new Map();
+    const labelFor = id => {
+        if (!deviceLabels.has(id)) deviceLabels.set(id, `device-${deviceLabels.size + 1}`);
+        return deviceLabels.get(id);
+    };
 
-            state.accessories.push(accessory);
-            imported++;
-        } catch (error) {
-            console.error('Error importing device:', device, error);
-        }
+    let endpointScheme = null;
+    try {
+        endpointScheme = new URL(state.settings.endpointUrl).protocol.replace(':', '');
+    } catch (e) {
+        endpointScheme = 'invalid';
     }
 
-    saveAccessories();
-    showToast(`Imported ${imported} device(s)`, 'success');
-    closeAccessoryModal();
+    return {
+        generatedAt: new Date().toISOString(),
+        userAgent: navigator.userAgent,
+        secureContext: window.isSecureContext,
+        webCrypto: Boolean(window.crypto && window.crypto.subtle),
+        endpoint: {
+            scheme: endpointScheme,
+            authentication: Boolean(state.settings.endpointUser || state.settings.endpointPass)
+        },
+        settings: {
+            daysToFetch: state.settings.daysToFetch,
+            fetchChunkSize: state.settings.fetchChunkSize,
+            fetchConcurrency: state.settings.fetchConcurrency
+        },
+        runs: diagnostics.runs.map(run => ({
+            startedAt: new Date(run.startedAt).toISOString(),
+            durationMs: run.finishedAt ? run.finishedAt - run.startedAt : null,
+            auto: run.auto,
+            decryptMode: run.decryptMode,
+            error: categorizeFetchError(run.error, run.errorStatus),
+            keys: run.keys.map(k => ({
+                device: labelFor(k.accessoryId),
+                keyIndex: k.keyIndex,
+                hashedKey: k.hashedKey ? `${k.hashedKey.slice(0, 4)}…` : null,
+                status: k.status,
+                error: categorizeFetchError(k.error, k.status),
+                reports: k.reports,
+                fresh: k.fresh,
+                decrypted: k.decrypted,
+                failed: k.failed,
+                failures: k.failures.map(f => ({
+                    stage: f.stage,
+                    message: f.message,
+                    datePublished: f.datePublished ? new Date(f.datePublished).toISOString() : null
+                }))
+            }))
+        }))
+    };
+}
+
+function exportDiagnostics() {
+    if (diagnostics.runs.length === 0) {
+        showToast('Nothing recorded yet', 'warning');
+        return;
+    }
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    downloadFile(`haystack-diagnostics-${stamp}.json`, JSON.stringify(buildDiagnosticsBundle(), null, 2), 'application/json');
+    showToast('Diagnostics exported', 'success');
 }
 
 // ============================================
@@ -1898,6 +6790,17 @@ window.selectDevice = selectDevice;
 window.deleteAccessory = deleteAccessory;
 window.showDeviceHistory = showDeviceHistory;
 window.navigateToDevice = navigateToDevice;
+window.copyCoordinates = copyCoordinates;
 window.openAccessoryModal = openAccessoryModal;
+window.openExportModal = openExportModal;
+window.removeCustomLayer = removeCustomLayer;
+window.editZone = editZone;
+window.focusStayPoint = focusStayPoint;
+window.selectTrip = selectTrip;
+window.exportTrip = exportTrip;
+window.deleteZone = deleteZone;
+window.editPlace = editPlace;
+window.deletePlace = deletePlace;
+window.closeBatteryModal = closeBatteryModal;
 window.fetchLocations = fetchLocations;
 window.handleRefreshClick = handleRefreshClick;
@@ -0,0 +1,283 @@
+// ============================================
+// Macless Haystack - Report Cryptography
+// Shared by the page (app.js) and the decryption workers (decrypt-worker.js),
+// so it must not touch the DOM. Uses `self`, which is the window on the page
+// and the worker global scope inside a worker.
+// ============================================
+
+// ============================================
+// UTILITY FUNCTIONS
+// ============================================
+
+// Convert base64 to Uint8Array
+function base64ToBytes(base64) {
+    const binaryString = atob(base64);
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// Convert Uint8Array to base64
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+// Convert hex string to Uint8Array
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+// Convert Uint8Array to hex string
+function bytesToHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// SHA-256 hash (using @noble/hashes via module import)
+async function sha256(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+    // Try Web Crypto API first (requires secure context: HTTPS or localhost)
+    if (self.crypto && self.crypto.subtle) {
+        const buffer = await self.crypto.subtle.digest('SHA-256', bytes);
+        return new Uint8Array(buffer);
+    }
+
+    // Fallback: use @noble/hashes sha256 (loaded via module)
+    if (self.nobleSha256) {
+        return self.nobleSha256(bytes);
+    }
+
+    throw new Error('No SHA-256 implementation available. Use localhost or HTTPS.');
+}
+
+// ============================================
+// CRYPTOGRAPHY FUNCTIONS (secp224r1)
+// ============================================
+
+// Wait for noble-curves to be loaded
+function waitForNobleCurves() {
+    return new Promise((resolve) => {
+        if (self.secp224r1 && self.nobleGcm) {
+            resolve();
+        } else {
+            const checkInterval = setInterval(() => {
+                if (self.secp224r1 && self.nobleGcm) {
+                    clearInterval(checkInterval);
+                    resolve();
+                }
+            }, 100);
+        }
+    });
+}
+
+// Initialize crypto
+async function initCrypto() {
+    await waitForNobleCurves();
+    console.log('secp224r1 curve loaded:', self.secp224r1);
+    console.log('nobleGcm loaded:', self.nobleGcm);
+}
+
+// Hash public key using SHA256 and encode as base64
+async function hashPublicKey(privateKeyBase64) {
+    const privateKeyBytes = base64ToBytes(privateKeyBase64);
+    const publicKeyBytes = await derivePublicKeyFromPrivate(privateKeyBytes);
+    const hash = await sha256(publicKeyBytes);
+    return bytesToBase64(hash);
+}
+
+// Derive public key from private key using secp224r1
+async function derivePublicKeyFromPrivate(privateKeyBytes) {
+    if (!self.secp224r1) {
+        throw new Error('secp224r1 curve not loaded');
+    }
+
+    const privHex = bytesToHex(privateKeyBytes);
+    const pubBytes = self.secp224r1.getPublicKey(privHex);
+    return pubBytes;
+}
+
+// Get advertisement key (28-byte public key without first byte)
+async function getAdvertisementKey(privateKeyBase64) {
+    const publicKeyBytes = await derivePublicKeyFromPrivate(base64ToBytes(privateKeyBase64));
+    return publicKeyBytes.slice(1);
+}
+
+// Get hashed advertisement key (what the backend uses to lookup reports)
+async function getHashedAdvertisementKey(privateKeyBase64) {
+    const advKey = await getAdvertisementKey(privateKeyBase64);
+    const hash = await sha256(advKey);
+    return bytesToBase64(hash);
+}
+
+// ECDH - Elliptic Curve Diffie-Hellman key exchange
+async function ecdh(ephemeralPublicKeyBytes, privateKeyBase64) {
+    if (!self.secp224r1) {
+        throw new Error('secp224r1 curve not loaded');
+    }
+
+    const privateKeyBytes = base64ToBytes(privateKeyBase64);
+    const privHex = bytesToHex(privateKeyBytes);
+    const pubHex = bytesToHex(ephemeralPublicKeyBytes);
+
+    const shared = self.secp224r1.getSharedSecret(privHex, pubHex);
+    return shared.slice(1);
+}
+
+// KDF - ANSI X.963 Key Derivation Function
+async function kdf(secret, ephemeralKey) {
+    const combined = new Uint8Array(secret.length + 4 + ephemeralKey.length);
+    combined.set(secret, 0);
+    combined.set(new Uint8Array([0, 0, 0, 1]), secret.length);
+    combined.set(ephemeralKey, secret.length + 4);
+
+    return sha256(combined);
+}
+
+// AES-GCM Decryption using Web Crypto API or noble/ciphers fallback
+async function decryptPayload(cipherText, symmetricKey, tag) {
+    // Kept so a wrong key (tag mismatch) is not reported as missing AES-GCM support
+    let failure = null;
+
+    const decryptionKey = symmetricKey.slice(0, 16);
+    const iv = symmetricKey.slice(16);
+
+    if (self.crypto && self.crypto.subtle) {
+        try {
+            const cryptoKey = await self.crypto.subtle.importKey(
+                'raw',
+                decryptionKey,
+                { name: 'AES-GCM' },
+                false,
+                ['decrypt']
+            );
+
+            const dataToDecrypt = new Uint8Array(cipherText.length + tag.length);
+            dataToDecrypt.set(cipherText);
+            dataToDecrypt.set(tag, cipherText.length);
+
+            const decrypted = await self.crypto.subtle.decrypt(
+                {
+                    name: 'AES-GCM',
+                    iv: iv,
+                    tagLength: 128
+                },
+                cryptoKey,
+                dataToDecrypt
+            );
+
+            return new Uint8Array(decrypted);
+        } catch (e) {
+            console.warn('[WARN] Web Crypto API failed, trying fallback:', e);
+            failure = e;
+        }
+    }
+
+    if (self.nobleGcm) {
+        try {
+            const combined = new Uint8Array(cipherText.length + tag.length);
+            combined.set(cipherText);
+            combined.set(tag, cipherText.length);
+
+            const cipher = self.nobleGcm(decryptionKey, iv);
+            const decrypted = cipher.decrypt(combined);
+
+            return decrypted;
+        } catch (e) {
+            console.error('[ERROR] noble/ciphers decryption failed:', e);
+            failure = e;
+        }
+    }
+
+    if (failure) {
+        throw new Error(`AES-GCM tag mismatch (wrong key or corrupt report): ${failure.message || failure.name}`);
+    }
+    throw new Error('No AES-GCM decryption available. Access via localhost or HTTPS.');
+}
+
+// Main decryption function - decrypts a FindMy report.
+// Errors carry `stage`: 'base64', 'ecdh', 'kdf', 'aes-gcm' or 'payload', the step that failed
+async function decryptReport(report, privateKeyBase64) {
+    let stage = 'base64';
+    try {
+        let payloadData = base64ToBytes(report.payload);
+        if (payloadData.length < 88) {
+            throw new Error(`Payload too short (${payloadData.length} bytes)`);
+        }
+
+        if (payloadData.length > 88) {
+            const modified = new Uint8Array(payloadData.length - 1);
+            modified.set(payloadData.slice(0, 4), 0);
+            modified.set(payloadData.slice(5), 4);
+            payloadData = modified;
+        }
+
+        const ephemeralKeyBytes = payloadData.slice(5, 62);
+        const encData = payloadData.slice(62, 72);
+        const tag = payloadData.slice(72);
+
+        const seenTimeStamp = new DataView(payloadData.buffer).getUint32(0, false);
+        const timestamp = new Date(Date.UTC(2001, 0, 1));
+        timestamp.setSeconds(seenTimeStamp);
+        const confidence = payloadData[4];
+
+        stage = 'ecdh';
+        const sharedSecret = await ecdh(ephemeralKeyBytes, privateKeyBase64);
+        stage = 'kdf';
+        const derivedKey = await kdf(sharedSecret, ephemeralKeyBytes);
+        stage = 'aes-gcm';
+        const decryptedPayload = await decryptPayload(encData, derivedKey, tag);
+
+        stage = 'payload';
+        return decodePayload(decryptedPayload, report.datePublished, timestamp, confidence);
+    } catch (error) {
+        console.error('Decrypt report error:', error);
+        error.stage = error.stage || stage;
+        throw error;
+    }
+}
+
+// Decode the decrypted payload to get location data
+function decodePayload(payload, datePublished, timestamp, confidence) {
+    const view = new DataView(payload.buffer);
+
+    const latitudeRaw = view.getUint32(0, false);
+    const longitudeRaw = view.getUint32(4, false);
+    const accuracy = view.getUint8(8);
+    const status = view.getUint8(9);
+
+    let latitude = latitudeRaw / 10000000.0;
+    let longitude = longitudeRaw / 10000000.0;
+
+    const pointCorrection = 0xFFFFFFFF / 10000000;
+    if (latitude > 90) latitude -= pointCorrection;
+    if (latitude < -90) latitude += pointCorrection;
+    if (longitude > 180) longitude -= pointCorrection;
+    if (longitude < -180) longitude += pointCorrection;
+
+    let batteryStatus = null;
+    if ((status & 0x20) !== 0 || status > 0) {
+        const batteryLevel = (status >> 6) & 0x03;
+        const batteryStatuses = ['ok', 'medium', 'low', 'critical'];
+        batteryStatus = batteryStatuses[batteryLevel] || null;
+    }
+
+    return {
+        latitude,
+        longitude,
+        accuracy,
+        datePublished,
+        timestamp,
+        confidence,
+        batteryStatus
+    };
+}
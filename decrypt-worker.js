@@ -0,0 +1,29 @@
+// ============================================
+// Macless Haystack - Decryption Worker
+// Runs decryptReport (crypto.js) off the main thread. Started by the
+// decryption pool in app.js; one report per message.
+// ============================================
+
+importScripts('crypto.js');
+
+// noble.js is an ES module, so it has to come in through a dynamic import
+const cryptoReady = import('./noble.js').then(() => waitForNobleCurves());
+
+self.onmessage = async (e) => {
+    const { jobId, report, privateKey } = e.data;
+
+    try {
+        await cryptoReady;
+    } catch (error) {
+        // Libraries failed to load in the worker - the pool falls back to the main thread
+        self.postMessage({ jobId, ok: false, fatal: true, error: error.message || String(error) });
+        return;
+    }
+
+    try {
+        const decrypted = await decryptReport(report, privateKey);
+        self.postMessage({ jobId, ok: true, decrypted });
+    } catch (error) {
+        self.postMessage({ jobId, ok: false, error: error.message || String(error), stage: error.stage });
+    }
+};
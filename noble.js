@@ -0,0 +1,37 @@
+// ============================================
+// Noble crypto libraries (ES module)
+// Defines secp224r1 and exposes the primitives on the global scope so
+// both the page (window) and the decryption workers (self) can use them
+// ============================================
+
+import { sha256 } from 'https://cdn.skypack.dev/@noble/hashes@1.4.0/sha256';
+import { hmac } from 'https://cdn.skypack.dev/@noble/hashes@1.4.0/hmac';
+import { randomBytes } from 'https://cdn.skypack.dev/@noble/hashes@1.4.0/utils';
+import { weierstrass } from 'https://cdn.skypack.dev/@noble/curves@1.8.0/abstract/weierstrass';
+import { Field } from 'https://cdn.skypack.dev/@noble/curves@1.8.0/abstract/modular';
+import { bytesToHex, hexToBytes } from 'https://cdn.skypack.dev/@noble/curves@1.8.0/abstract/utils';
+
+// Load @noble/ciphers for AES-GCM
+import { gcm } from 'https://esm.sh/@noble/ciphers/aes';
+
+// Define secp224r1 (P-224) curve using noble-curves weierstrass API
+const secp224r1 = weierstrass({
+    a: 0xfffffffffffffffffffffffffffffffefffffffffffffffffffffffen,
+    b: 0xb4050a850c04b3abf54132565044b0b7d7bfd8ba270b39432355ffb4n,
+    Fp: Field(0xffffffffffffffffffffffffffffffff000000000000000000000001n),
+    n: 0xffffffffffffffffffffffffffff16a2e0b8f03e13dd29455c5c2a3dn,
+    h: 1n,
+    Gx: 0xb70e0cbd6bb4bf7f321390b94a03c1d356c21122343280d6115c1d21n,
+    Gy: 0xbd376388b5f723fb4c22dfe6cd4375a05a07476444d5819985007e34n,
+    hash: sha256,
+    hmac: (key, ...msgs) => {
+        const combined = msgs.length > 0 ? (msgs[0] instanceof Uint8Array ? msgs[0] : new Uint8Array(0)) : new Uint8Array(0);
+        return hmac(sha256, key, combined);
+    },
+    randomBytes,
+});
+
+self.secp224r1 = secp224r1;
+self.nobleUtils = { bytesToHex, hexToBytes };
+self.nobleSha256 = sha256;
+self.nobleGcm = gcm;